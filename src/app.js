@@ -3,11 +3,39 @@ const cookieParser = require("cookie-parser");
 const cors = require("cors");
 const app = express();
 
+// Behind a reverse proxy (nginx, a load balancer, ...) every request comes from the proxy's IP, which would put all the
+// clients in the same rate limit bucket. TRUST_PROXY is the number of proxies in front of the app, so req.ip is read
+// from the X-Forwarded-For header instead.
+if (process.env.TRUST_PROXY) {
+  app.set(
+    "trust proxy",
+    Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY
+  );
+}
+
 app.use(
   cors({
     origin: process.env.CLIENT_URL,
-    methods: ["GET", "POST", "PUT", "DELETE"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE"],
+    // The Upload-* headers are used by the resumable uploads (see upload.controller.js).
+    allowedHeaders: [
+      "Content-Type",
+      "Authorization",
+      "Upload-Offset",
+      "Upload-Checksum",
+    ],
+    // Lets the frontend read the rate limit headers (see rateLimit.middleware.js).
+    exposedHeaders: [
+      "RateLimit-Limit",
+      "RateLimit-Remaining",
+      "RateLimit-Reset",
+      "RateLimit-Policy",
+      "Retry-After",
+      "Location",
+      "Upload-Offset",
+      "Upload-Length",
+      "Upload-Expires",
+    ],
     credentials: true,
   })
 );
@@ -19,9 +47,44 @@ app.use(cookieParser());
 
 // Routes
 const userRoutes = require("./routes/user.routes");
-// const videoRoutes = require("./routes/video.routes");
+const videoRoutes = require("./routes/video.routes");
+const subscriptionRoutes = require("./routes/subscription.routes");
+const commentRoutes = require("./routes/comment.routes");
+const likeRoutes = require("./routes/like.routes");
+const playlistRoutes = require("./routes/playlist.routes");
+const tweetRoutes = require("./routes/tweet.routes");
+const dashboardRoutes = require("./routes/dashboard.routes");
+const sessionRoutes = require("./routes/session.routes");
+const adminRoutes = require("./routes/admin.routes");
+const accessTokenRoutes = require("./routes/accessToken.routes");
+const notificationRoutes = require("./routes/notification.routes");
+const feedRoutes = require("./routes/feed.routes");
+const searchRoutes = require("./routes/search.routes");
+const uploadRoutes = require("./routes/upload.routes");
 
 app.use("/api/v1/users", userRoutes);
-// app.use("/api/v1/videos", videoRoutes);
+app.use("/api/v1/videos", videoRoutes);
+app.use("/api/v1/subscriptions", subscriptionRoutes);
+app.use("/api/v1/comments", commentRoutes);
+app.use("/api/v1/likes", likeRoutes);
+app.use("/api/v1/playlists", playlistRoutes);
+app.use("/api/v1/tweets", tweetRoutes);
+app.use("/api/v1/dashboard", dashboardRoutes);
+app.use("/api/v1/sessions", sessionRoutes);
+app.use("/api/v1/admin", adminRoutes);
+app.use("/api/v1/access-tokens", accessTokenRoutes);
+app.use("/api/v1/notifications", notificationRoutes);
+app.use("/api/v1/feed", feedRoutes);
+app.use("/api/v1/search", searchRoutes);
+app.use("/api/v1/uploads", uploadRoutes);
+
+// Error handling. These must be registered after all the routes.
+const {
+  notFoundHandler,
+  errorHandler,
+} = require("./middleware/error.middleware");
+
+app.use(notFoundHandler);
+app.use(errorHandler);
 
 exports.app = app;
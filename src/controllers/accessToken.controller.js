@@ -0,0 +1,94 @@
+const asyncHandler = require("../utils/asyncHandler");
+const ApiError = require("../utils/ApiError");
+const ApiResponse = require("../utils/ApiResponse");
+const PersonalAccessToken = require("../models/personalAccessToken.model");
+const { createAccessToken } = require("../utils/accessTokens");
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_ACTIVE_TOKENS = 20;
+
+// Fields of a token that can be sent to the client. The hash never leaves the server.
+const TOKEN_FIELDS =
+  "name tokenPrefix scopes expiresAt lastUsedAt lastUsedIp revokedAt createdAt";
+
+// Creates a personal access token for the logged-in user.
+// The token is only returned in this response: it's stored as a hash, so it can't be shown again.
+const createPersonalAccessToken = asyncHandler(async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  const activeTokens = await PersonalAccessToken.countDocuments({
+    user: req.user._id,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  });
+  if (activeTokens >= MAX_ACTIVE_TOKENS) {
+    throw new ApiError(
+      409,
+      `You can't have more than ${MAX_ACTIVE_TOKENS} active tokens, revoke one first`
+    );
+  }
+
+  const { token, accessToken } = await createAccessToken(req.user, {
+    name,
+    scopes,
+    expiresAt: expiresInDays
+      ? new Date(Date.now() + expiresInDays * DAY)
+      : null,
+  });
+
+  const data = await PersonalAccessToken.findById(accessToken._id)
+    .select(TOKEN_FIELDS)
+    .lean();
+
+  return res
+    .status(201)
+    .json(
+      new ApiResponse(
+        201,
+        { ...data, token },
+        "Token created, copy it now: it won't be shown again"
+      )
+    );
+});
+
+// Lists the tokens of the logged-in user (revoked and expired ones included), newest first.
+const getMyAccessTokens = asyncHandler(async (req, res) => {
+  const tokens = await PersonalAccessToken.find({ user: req.user._id })
+    .select(TOKEN_FIELDS)
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const now = new Date();
+  const data = tokens.map((token) => ({
+    ...token,
+    isActive: !token.revokedAt && (!token.expiresAt || token.expiresAt > now),
+  }));
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, data, "Tokens fetched successfully"));
+});
+
+// Revokes a token. It stops working immediately but stays in the list.
+const revokeAccessToken = asyncHandler(async (req, res) => {
+  const { tokenId } = req.params;
+
+  const token = await PersonalAccessToken.findOneAndUpdate(
+    { _id: tokenId, user: req.user._id, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+    { new: true }
+  ).select(TOKEN_FIELDS);
+  if (!token) {
+    throw new ApiError(404, "Token not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, token, "Token revoked successfully"));
+});
+
+module.exports = {
+  createPersonalAccessToken,
+  getMyAccessTokens,
+  revokeAccessToken,
+};
@@ -0,0 +1,441 @@
+const mongoose = require("mongoose");
+const asyncHandler = require("../utils/asyncHandler");
+const ApiError = require("../utils/ApiError");
+const ApiResponse = require("../utils/ApiResponse");
+const User = require("../models/user.model");
+const Video = require("../models/video.model");
+const Comment = require("../models/comment.model");
+const Like = require("../models/like.model");
+const Tweet = require("../models/tweet.model");
+const Playlist = require("../models/playlist.model");
+const Subscription = require("../models/subscription.model");
+const Session = require("../models/session.model");
+const AuditLog = require("../models/auditLog.model");
+const getPaginationOptions = require("../utils/pagination");
+const escapeRegex = require("../utils/escapeRegex");
+const { revokeSessions } = require("../utils/session");
+const { deleteVideoWithRelatedData } = require("../utils/videoCleanup");
+
+const HOUR = 60 * 60 * 1000;
+
+// Names of the actions saved in the audit log.
+const ADMIN_ACTIONS = {
+  suspendUser: "user.suspend",
+  banUser: "user.ban",
+  unbanUser: "user.unban",
+  updateUserRole: "user.role",
+  unpublishVideo: "video.unpublish",
+  restoreVideo: "video.restore",
+  deleteVideo: "video.delete",
+};
+
+const ROLE_RANKS = { user: 0, moderator: 1, admin: 2 };
+
+// Every admin action goes through this function, so nothing is done without leaving a trace.
+// Algorithm / Steps
+// 1. Write the audit log entry first, as "pending". If it can't be saved, the request fails and nothing is changed.
+// 2. Run the action ("perform").
+// 3. Mark the entry "completed", or "failed" (with the error) if the action threw, and rethrow.
+const performAdminAction = async (
+  req,
+  { action, targetType, targetId, details = {} },
+  perform
+) => {
+  const entry = await AuditLog.create({
+    actor: req.user._id,
+    action,
+    targetType,
+    targetId,
+    reason: req.body.reason,
+    details,
+    ip: req.ip || "",
+    status: "pending",
+  });
+
+  try {
+    await perform();
+  } catch (err) {
+    await AuditLog.updateOne(
+      { _id: entry._id },
+      { $set: { status: "failed", error: err.message } }
+    ).catch((logErr) => console.error("Error updating audit log:", logErr));
+    throw err;
+  }
+
+  await AuditLog.updateOne(
+    { _id: entry._id },
+    { $set: { status: "completed" } }
+  );
+};
+
+// Fetches the user an action is about and checks the logged-in moderator/admin is allowed to act on them:
+// nobody can moderate their own account, and only an admin can moderate a moderator or another admin.
+const findModeratableUser = async (req) => {
+  const user = await User.findById(req.params.userId).select("-password");
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+  if (user._id.equals(req.user._id)) {
+    throw new ApiError(403, "You can't moderate your own account");
+  }
+  if (
+    req.user.role !== "admin" &&
+    ROLE_RANKS[user.role] >= ROLE_RANKS[req.user.role]
+  ) {
+    throw new ApiError(403, "You are not allowed to moderate this account");
+  }
+  return user;
+};
+
+const findVideoOrThrow = async (videoId) => {
+  const video = await Video.findById(videoId);
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+  return video;
+};
+
+// Paginated list of every account. ?query searches userName, email and fullName, ?role and ?status filter the list.
+const listUsers = asyncHandler(async (req, res) => {
+  const { query, role, status } = req.query;
+
+  const match = {};
+  if (role) match.role = role;
+  if (status) match.status = status;
+  if (query) {
+    const searchRegex = new RegExp(escapeRegex(query), "i");
+    match.$or = [
+      { userName: searchRegex },
+      { email: searchRegex },
+      { fullName: searchRegex },
+    ];
+  }
+
+  const aggregate = User.aggregate([
+    { $match: match },
+    { $sort: { createdAt: -1, _id: -1 } },
+    {
+      $project: {
+        userName: 1,
+        email: 1,
+        fullName: 1,
+        avatar: 1,
+        role: 1,
+        status: 1,
+        suspendedUntil: 1,
+        isEmailVerified: 1,
+        createdAt: 1,
+      },
+    },
+  ]);
+
+  const users = await User.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query)
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, users, "Users fetched successfully"));
+});
+
+// Suspends an account for durationHours (or until it's unbanned) and logs it out of every device.
+const suspendUser = asyncHandler(async (req, res) => {
+  const { durationHours } = req.body;
+  const user = await findModeratableUser(req);
+
+  if (user.status === "banned") {
+    throw new ApiError(409, "This account is already banned");
+  }
+
+  const suspendedUntil = durationHours
+    ? new Date(Date.now() + durationHours * HOUR)
+    : undefined;
+
+  await performAdminAction(
+    req,
+    {
+      action: ADMIN_ACTIONS.suspendUser,
+      targetType: "User",
+      targetId: user._id,
+      details: { suspendedUntil: suspendedUntil || null },
+    },
+    async () => {
+      user.status = "suspended";
+      user.suspendedUntil = suspendedUntil;
+      await user.save({ validateBeforeSave: false });
+      await revokeSessions({ user: user._id }, "suspended");
+    }
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user, "User suspended successfully"));
+});
+
+// Bans an account until it's unbanned and logs it out of every device.
+const banUser = asyncHandler(async (req, res) => {
+  const user = await findModeratableUser(req);
+
+  await performAdminAction(
+    req,
+    {
+      action: ADMIN_ACTIONS.banUser,
+      targetType: "User",
+      targetId: user._id,
+    },
+    async () => {
+      user.status = "banned";
+      user.suspendedUntil = undefined;
+      await user.save({ validateBeforeSave: false });
+      await revokeSessions({ user: user._id }, "banned");
+    }
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user, "User banned successfully"));
+});
+
+// Lifts a ban or a suspension.
+const unbanUser = asyncHandler(async (req, res) => {
+  const user = await findModeratableUser(req);
+
+  if (user.status === "active") {
+    throw new ApiError(409, "This account is not suspended or banned");
+  }
+
+  await performAdminAction(
+    req,
+    {
+      action: ADMIN_ACTIONS.unbanUser,
+      targetType: "User",
+      targetId: user._id,
+      details: { previousStatus: user.status },
+    },
+    async () => {
+      user.status = "active";
+      user.suspendedUntil = undefined;
+      await user.save({ validateBeforeSave: false });
+    }
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user, "User reinstated successfully"));
+});
+
+const updateUserRole = asyncHandler(async (req, res) => {
+  const { role } = req.body;
+  const user = await findModeratableUser(req);
+
+  if (user.role === role) {
+    throw new ApiError(409, `This user is already a ${role}`);
+  }
+
+  await performAdminAction(
+    req,
+    {
+      action: ADMIN_ACTIONS.updateUserRole,
+      targetType: "User",
+      targetId: user._id,
+      details: { previousRole: user.role, role },
+    },
+    async () => {
+      user.role = role;
+      await user.save({ validateBeforeSave: false });
+    }
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user, "User role updated successfully"));
+});
+
+// Unpublishes any video and locks it, so the owner can't publish it again until a moderator restores it.
+const unpublishVideo = asyncHandler(async (req, res) => {
+  const video = await findVideoOrThrow(req.params.videoId);
+
+  await performAdminAction(
+    req,
+    {
+      action: ADMIN_ACTIONS.unpublishVideo,
+      targetType: "Video",
+      targetId: video._id,
+      details: { owner: video.owner, wasPublished: video.isPublished },
+    },
+    async () => {
+      video.isPublished = false;
+      video.isModerationLocked = true;
+      await video.save({ validateBeforeSave: false });
+    }
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, video, "Video unpublished successfully"));
+});
+
+// Removes the lock set by unpublishVideo. The video stays unpublished, the owner decides when to publish it again.
+const restoreVideo = asyncHandler(async (req, res) => {
+  const video = await findVideoOrThrow(req.params.videoId);
+
+  if (!video.isModerationLocked) {
+    throw new ApiError(409, "This video was not unpublished by a moderator");
+  }
+
+  await performAdminAction(
+    req,
+    {
+      action: ADMIN_ACTIONS.restoreVideo,
+      targetType: "Video",
+      targetId: video._id,
+      details: { owner: video.owner },
+    },
+    async () => {
+      video.isModerationLocked = false;
+      await video.save({ validateBeforeSave: false });
+    }
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, video, "Video restored successfully"));
+});
+
+const deleteVideo = asyncHandler(async (req, res) => {
+  const video = await findVideoOrThrow(req.params.videoId);
+
+  // The video will be gone, so its title and owner are kept in the audit log.
+  await performAdminAction(
+    req,
+    {
+      action: ADMIN_ACTIONS.deleteVideo,
+      targetType: "Video",
+      targetId: video._id,
+      details: { owner: video.owner, title: video.title },
+    },
+    () => deleteVideoWithRelatedData(video)
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Video deleted successfully"));
+});
+
+// Platform-wide counts. The queries don't depend on each other, so they run in parallel.
+const getPlatformStats = asyncHandler(async (req, res) => {
+  const [
+    usersByStatus,
+    [videoTotals],
+    comments,
+    likes,
+    tweets,
+    playlists,
+    subscriptions,
+    activeSessions,
+  ] = await Promise.all([
+    User.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+    Video.aggregate([
+      {
+        $group: {
+          _id: null,
+          total: { $sum: 1 },
+          published: { $sum: { $cond: ["$isPublished", 1, 0] } },
+          moderationLocked: {
+            $sum: { $cond: ["$isModerationLocked", 1, 0] },
+          },
+          views: { $sum: "$views" },
+        },
+      },
+    ]),
+    Comment.countDocuments(),
+    Like.countDocuments(),
+    Tweet.countDocuments(),
+    Playlist.countDocuments(),
+    Subscription.countDocuments(),
+    Session.countDocuments({ revokedAt: null, expiresAt: { $gt: new Date() } }),
+  ]);
+
+  const users = { total: 0, active: 0, suspended: 0, banned: 0 };
+  usersByStatus.forEach(({ _id, count }) => {
+    users[_id || "active"] += count;
+    users.total += count;
+  });
+
+  const videos = {
+    total: videoTotals?.total || 0,
+    published: videoTotals?.published || 0,
+    unpublished: (videoTotals?.total || 0) - (videoTotals?.published || 0),
+    moderationLocked: videoTotals?.moderationLocked || 0,
+    views: videoTotals?.views || 0,
+  };
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        users,
+        videos,
+        comments,
+        likes,
+        tweets,
+        playlists,
+        subscriptions,
+        activeSessions,
+      },
+      "Platform stats fetched successfully"
+    )
+  );
+});
+
+// Paginated audit log, newest first. Can be filtered by ?actor, ?targetId and ?action.
+const getAuditLogs = asyncHandler(async (req, res) => {
+  const { actor, targetId, action } = req.query;
+
+  const match = {};
+  if (actor) match.actor = new mongoose.Types.ObjectId(actor);
+  if (targetId) match.targetId = new mongoose.Types.ObjectId(targetId);
+  if (action) match.action = action;
+
+  const aggregate = AuditLog.aggregate([
+    { $match: match },
+    { $sort: { createdAt: -1, _id: -1 } },
+    {
+      $lookup: {
+        from: "users",
+        localField: "actor",
+        foreignField: "_id",
+        as: "actor",
+        pipeline: [{ $project: { fullName: 1, userName: 1, avatar: 1 } }],
+      },
+    },
+    {
+      $addFields: {
+        actor: { $first: "$actor" },
+      },
+    },
+  ]);
+
+  const logs = await AuditLog.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query)
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, logs, "Audit logs fetched successfully"));
+});
+
+module.exports = {
+  listUsers,
+  suspendUser,
+  banUser,
+  unbanUser,
+  updateUserRole,
+  unpublishVideo,
+  restoreVideo,
+  deleteVideo,
+  getPlatformStats,
+  getAuditLogs,
+};
@@ -0,0 +1,120 @@
+const asyncHandler = require("../utils/asyncHandler");
+const ApiError = require("../utils/ApiError");
+const ApiResponse = require("../utils/ApiResponse");
+const User = require("../models/user.model");
+const { consumeUserToken } = require("../utils/userTokens");
+const { revokeSessions } = require("../utils/session");
+const { revokeAccessTokens } = require("../utils/accessTokens");
+const {
+  sendEmailVerification,
+  sendPasswordReset,
+} = require("../utils/accountEmails");
+
+// Sends a new verification link to the logged-in user's email address.
+const requestEmailVerification = asyncHandler(async (req, res) => {
+  if (req.user.isEmailVerified) {
+    throw new ApiError(400, "Email is already verified");
+  }
+
+  await sendEmailVerification(req.user);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Verification email sent successfully"));
+});
+
+// Algorithm / Steps to confirm an email address
+// 1. Consume the token: it must exist, not be expired and not be used yet.
+// 2. The user's email must still be the one the link was sent to (it may have changed since).
+// 3. Mark the email as verified.
+const confirmEmailVerification = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  const userToken = await consumeUserToken(token, "email-verification");
+  if (!userToken) {
+    throw new ApiError(400, "Verification link is invalid or has expired");
+  }
+
+  const user = await User.findOneAndUpdate(
+    { _id: userToken.user, email: userToken.email },
+    { $set: { isEmailVerified: true, emailVerifiedAt: new Date() } },
+    { new: true }
+  ).select("-password");
+
+  if (!user) {
+    throw new ApiError(400, "Verification link is invalid or has expired");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user, "Email verified successfully"));
+});
+
+// Sends a password reset link if an account uses this email and the address has been verified. An unverified address
+// may belong to someone else (anyone can type any email at sign up), so it never receives a reset link.
+// The response is the same in every case, so this endpoint can't be used to find registered emails.
+const requestPasswordReset = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  const user = await User.findOne({ email });
+  // A sending error is only logged: answering with a 500 would tell that this email belongs to a verified account.
+  if (user?.isEmailVerified) {
+    try {
+      await sendPasswordReset(user);
+    } catch (err) {
+      console.error("Error sending password reset email:", err);
+    }
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        {},
+        "If an account exists for this email, a password reset link has been sent"
+      )
+    );
+});
+
+// Algorithm / Steps to reset a password
+// 1. Consume the token (single use, not expired).
+// 2. Set the new password; the pre-save hook hashes it.
+// 3. Revoke every session and personal access token of the user: whoever knew the old password is logged out
+//    everywhere, and the tokens they may have created stop working.
+const confirmPasswordReset = asyncHandler(async (req, res) => {
+  const { token, newPassword } = req.body;
+
+  const userToken = await consumeUserToken(token, "password-reset");
+  if (!userToken) {
+    throw new ApiError(400, "Password reset link is invalid or has expired");
+  }
+
+  const user = await User.findById(userToken.user);
+  if (!user) {
+    throw new ApiError(400, "Password reset link is invalid or has expired");
+  }
+
+  user.password = newPassword;
+  await user.save({ validateBeforeSave: false });
+
+  await revokeSessions({ user: user._id }, "password-reset");
+  await revokeAccessTokens(user._id);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        {},
+        "Password reset successfully, please log in with your new password"
+      )
+    );
+});
+
+module.exports = {
+  requestEmailVerification,
+  confirmEmailVerification,
+  requestPasswordReset,
+  confirmPasswordReset,
+};
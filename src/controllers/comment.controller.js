@@ -0,0 +1,252 @@
+const mongoose = require("mongoose");
+const asyncHandler = require("../utils/asyncHandler");
+const ApiError = require("../utils/ApiError");
+const ApiResponse = require("../utils/ApiResponse");
+const Comment = require("../models/comment.model");
+const Video = require("../models/video.model");
+const Like = require("../models/like.model");
+const getPaginationOptions = require("../utils/pagination");
+const { likeStatsStages } = require("../utils/pipelines");
+const { notifyCommentReply } = require("../utils/notifications");
+
+// Makes sure the video exists and can be seen by the logged-in user (unpublished videos are only visible to their owner).
+const findVisibleVideoOrThrow = async (videoId, userId) => {
+  if (!mongoose.isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  const video = await Video.findById(videoId);
+  if (!video || (!video.isPublished && !video.owner?.equals(userId))) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  return video;
+};
+
+const findCommentOrThrow = async (commentId) => {
+  if (!mongoose.isValidObjectId(commentId)) {
+    throw new ApiError(400, "Invalid comment id");
+  }
+
+  const comment = await Comment.findById(commentId);
+  if (!comment) {
+    throw new ApiError(404, "Comment not found");
+  }
+
+  return comment;
+};
+
+// content comes straight from the body, so anything that isn't a non-empty string (null, numbers, objects) is rejected
+// here instead of failing on .trim() with a 500.
+const assertContent = (content) => {
+  if (typeof content !== "string" || !content.trim()) {
+    throw new ApiError(400, "Comment content is required");
+  }
+};
+
+// Pipeline stages shared by the comment and reply listings.
+// Joins the author's details the same way getWatchHistory joins the video owner, counts the replies of each comment
+// and adds likesCount / isLiked for the logged-in user.
+const commentDetailsStages = (viewerId) => [
+  {
+    $lookup: {
+      from: "users",
+      localField: "owner",
+      foreignField: "_id",
+      as: "owner",
+      pipeline: [
+        {
+          $project: {
+            fullName: 1,
+            userName: 1,
+            avatar: 1,
+          },
+        },
+      ],
+    },
+  },
+  {
+    $addFields: {
+      owner: { $first: "$owner" },
+    },
+  },
+  {
+    $lookup: {
+      from: "comments",
+      localField: "_id",
+      foreignField: "parentComment",
+      as: "replies",
+    },
+  },
+  {
+    $addFields: {
+      repliesCount: { $size: "$replies" },
+    },
+  },
+  {
+    $project: {
+      replies: 0,
+    },
+  },
+  ...likeStatsStages("comment", viewerId),
+];
+
+// Returns the paginated top-level comments of a video.
+// ?sortBy=newest (default) shows the latest comments first, ?sortBy=top shows the most liked comments first.
+const getVideoComments = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const { sortBy = "newest" } = req.query;
+
+  await findVisibleVideoOrThrow(videoId, req.user?._id);
+
+  const sort =
+    sortBy === "top"
+      ? { likesCount: -1, repliesCount: -1, createdAt: -1, _id: -1 }
+      : { createdAt: -1, _id: -1 };
+
+  const aggregate = Comment.aggregate([
+    {
+      $match: {
+        video: new mongoose.Types.ObjectId(videoId),
+        parentComment: null,
+      },
+    },
+    ...commentDetailsStages(req.user?._id),
+    {
+      $sort: sort,
+    },
+  ]);
+
+  const comments = await Comment.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query)
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, comments, "Comments fetched successfully"));
+});
+
+// Returns the paginated replies of a comment, oldest first so the conversation reads top to bottom.
+const getCommentReplies = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+
+  const comment = await findCommentOrThrow(commentId);
+  await findVisibleVideoOrThrow(comment.video, req.user?._id);
+
+  const aggregate = Comment.aggregate([
+    {
+      $match: { parentComment: comment._id },
+    },
+    ...commentDetailsStages(req.user?._id),
+    {
+      $sort: { createdAt: 1, _id: 1 },
+    },
+  ]);
+
+  const replies = await Comment.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query)
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, replies, "Replies fetched successfully"));
+});
+
+// Algorithm / Steps to add a comment
+// 1. Validate the content and the video.
+// 2. If parentCommentId is sent, the comment is a reply. The parent must belong to the same video.
+// 3. Replies only nest one level: replying to a reply attaches the new comment to the same top-level comment.
+// 4. Create the comment.
+const addComment = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const { content, parentCommentId } = req.body;
+
+  assertContent(content);
+
+  await findVisibleVideoOrThrow(videoId, req.user?._id);
+
+  let parentComment = null;
+  let repliedTo = null;
+  if (parentCommentId) {
+    repliedTo = await findCommentOrThrow(parentCommentId);
+    if (!repliedTo.video.equals(videoId)) {
+      throw new ApiError(400, "Parent comment does not belong to this video");
+    }
+    parentComment = repliedTo.parentComment || repliedTo._id;
+  }
+
+  const comment = await Comment.create({
+    content: content.trim(),
+    video: videoId,
+    owner: req.user?._id,
+    parentComment,
+  });
+
+  // The author of the comment that was replied to is notified in the background.
+  if (repliedTo) {
+    notifyCommentReply(comment, repliedTo);
+  }
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, comment, "Comment added successfully"));
+});
+
+// Only the author of the comment can edit it.
+const updateComment = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+  const { content } = req.body;
+
+  assertContent(content);
+
+  const comment = await findCommentOrThrow(commentId);
+  if (!comment.owner.equals(req.user?._id)) {
+    throw new ApiError(403, "You are not allowed to edit this comment");
+  }
+
+  comment.content = content.trim();
+  await comment.save();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, comment, "Comment updated successfully"));
+});
+
+// The author of the comment or the owner of the video can delete it.
+// Deleting a top-level comment removes its replies as well.
+const deleteComment = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+
+  const comment = await findCommentOrThrow(commentId);
+
+  const isAuthor = comment.owner.equals(req.user?._id);
+  const isVideoOwner = await Video.exists({
+    _id: comment.video,
+    owner: req.user?._id,
+  });
+
+  if (!isAuthor && !isVideoOwner) {
+    throw new ApiError(403, "You are not allowed to delete this comment");
+  }
+
+  const deletedIds = await Comment.find({
+    $or: [{ _id: comment._id }, { parentComment: comment._id }],
+  }).distinct("_id");
+
+  await Comment.deleteMany({ _id: { $in: deletedIds } });
+  await Like.deleteMany({ comment: { $in: deletedIds } });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Comment deleted successfully"));
+});
+
+module.exports = {
+  getVideoComments,
+  getCommentReplies,
+  addComment,
+  updateComment,
+  deleteComment,
+};
@@ -0,0 +1,137 @@
+const asyncHandler = require("../utils/asyncHandler");
+const ApiResponse = require("../utils/ApiResponse");
+const Video = require("../models/video.model");
+const Subscription = require("../models/subscription.model");
+const getPaginationOptions = require("../utils/pagination");
+
+// Pipeline stages that add the per-video counts shown on the dashboard: likesCount and commentsCount.
+// Only the ids are joined because we only need to count them.
+const videoCountsStages = () => [
+  {
+    $lookup: {
+      from: "likes",
+      localField: "_id",
+      foreignField: "video",
+      as: "likes",
+      pipeline: [{ $project: { _id: 1 } }],
+    },
+  },
+  {
+    $lookup: {
+      from: "comments",
+      localField: "_id",
+      foreignField: "video",
+      as: "comments",
+      pipeline: [{ $project: { _id: 1 } }],
+    },
+  },
+  {
+    $addFields: {
+      likesCount: { $size: "$likes" },
+      commentsCount: { $size: "$comments" },
+    },
+  },
+  {
+    $project: {
+      likes: 0,
+      comments: 0,
+    },
+  },
+];
+
+// Algorithm / Steps to build the channel statistics
+// 1. Take every video of the logged-in user (published or not) and add its likes and comments counts.
+// 2. Use $facet to compute, in the same query, the totals and the per-video breakdown.
+// 3. Count the channel's subscribers from the Subscription collection.
+const getChannelStats = asyncHandler(async (req, res) => {
+  const channelId = req.user?._id;
+
+  const [videoStats] = await Video.aggregate([
+    {
+      $match: { owner: channelId },
+    },
+    ...videoCountsStages(),
+    {
+      // $facet runs several pipelines on the same input documents and returns one document with each result.
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              totalVideos: { $sum: 1 },
+              totalViews: { $sum: "$views" },
+              totalLikes: { $sum: "$likesCount" },
+              totalComments: { $sum: "$commentsCount" },
+            },
+          },
+        ],
+        videos: [
+          { $sort: { createdAt: -1 } },
+          {
+            $project: {
+              title: 1,
+              thumbnail: 1,
+              isPublished: 1,
+              views: 1,
+              likesCount: 1,
+              commentsCount: 1,
+              createdAt: 1,
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const [subscriberStats] = await Subscription.aggregate([
+    {
+      $match: { channel: channelId },
+    },
+    {
+      $count: "subscribersCount",
+    },
+  ]);
+
+  // A channel without any video has no "totals" group, so zeros are used instead.
+  const totals = videoStats?.totals?.[0] || {};
+
+  const stats = {
+    totalVideos: totals.totalVideos || 0,
+    totalViews: totals.totalViews || 0,
+    totalLikes: totals.totalLikes || 0,
+    totalComments: totals.totalComments || 0,
+    subscribersCount: subscriberStats?.subscribersCount || 0,
+    videos: videoStats?.videos || [],
+  };
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, stats, "Channel stats fetched successfully"));
+});
+
+// Returns the (paginated) videos of the logged-in user, including the unpublished ones, with their counts.
+const getChannelVideos = asyncHandler(async (req, res) => {
+  const aggregate = Video.aggregate([
+    {
+      $match: { owner: req.user?._id },
+    },
+    ...videoCountsStages(),
+    {
+      $sort: { createdAt: -1, _id: -1 },
+    },
+  ]);
+
+  const videos = await Video.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query)
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, videos, "Channel videos fetched successfully"));
+});
+
+module.exports = {
+  getChannelStats,
+  getChannelVideos,
+};
@@ -0,0 +1,90 @@
+const asyncHandler = require("../utils/asyncHandler");
+const ApiResponse = require("../utils/ApiResponse");
+const Video = require("../models/video.model");
+const Subscription = require("../models/subscription.model");
+const { encodeCursor, getCursorMatch } = require("../utils/cursor");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+// Algorithm / Steps to build the subscription feed
+// 1. Find the channels the logged-in user is subscribed to.
+// 2. Take their published videos, newest first, starting after the cursor if one was sent.
+// 3. Fetch one video more than the limit: if it exists, there is a next page.
+// 4. Join the owner's public details like getWatchHistory does.
+// 5. Return the videos with the cursor of the last one, to be sent back to get the next page.
+const getSubscriptionFeed = asyncHandler(async (req, res) => {
+  const { cursor } = req.query;
+  const limit = Math.min(req.query.limit || DEFAULT_LIMIT, MAX_LIMIT);
+
+  const channelIds = await Subscription.find({
+    subscriber: req.user._id,
+  }).distinct("channel");
+
+  if (!channelIds.length) {
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { videos: [], nextCursor: null, hasNextPage: false, limit },
+          "Feed fetched successfully"
+        )
+      );
+  }
+
+  const match = { owner: { $in: channelIds }, isPublished: true };
+  if (cursor) {
+    Object.assign(match, getCursorMatch(cursor));
+  }
+
+  const videos = await Video.aggregate([
+    { $match: match },
+    { $sort: { createdAt: -1, _id: -1 } },
+    { $limit: limit + 1 },
+    {
+      $lookup: {
+        from: "users",
+        localField: "owner",
+        foreignField: "_id",
+        as: "owner",
+        pipeline: [
+          {
+            $project: {
+              fullName: 1,
+              userName: 1,
+              avatar: 1,
+            },
+          },
+        ],
+      },
+    },
+    {
+      $addFields: {
+        owner: { $first: "$owner" },
+      },
+    },
+  ]);
+
+  const hasNextPage = videos.length > limit;
+  if (hasNextPage) {
+    videos.pop();
+  }
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        videos,
+        nextCursor: hasNextPage
+          ? encodeCursor(videos[videos.length - 1])
+          : null,
+        hasNextPage,
+        limit,
+      },
+      "Feed fetched successfully"
+    )
+  );
+});
+
+module.exports = { getSubscriptionFeed };
@@ -0,0 +1,187 @@
+const mongoose = require("mongoose");
+const asyncHandler = require("../utils/asyncHandler");
+const ApiError = require("../utils/ApiError");
+const ApiResponse = require("../utils/ApiResponse");
+const Like = require("../models/like.model");
+const Video = require("../models/video.model");
+const Comment = require("../models/comment.model");
+const Tweet = require("../models/tweet.model");
+const getPaginationOptions = require("../utils/pagination");
+const { notifyVideoLike } = require("../utils/notifications");
+
+// Unpublished videos are only visible to their owner, like everywhere else.
+const isVideoVisible = (video, userId) =>
+  Boolean(video) && (video.isPublished || video.owner?.equals(userId));
+
+// Tells whether the user can see (and so like) the target. A comment is visible when its video is.
+const isTargetVisible = async (Model, targetId, userId) => {
+  if (Model === Video) {
+    const video = await Video.findById(targetId).select("isPublished owner");
+    return isVideoVisible(video, userId);
+  }
+  if (Model === Comment) {
+    const comment = await Comment.findById(targetId).select("video");
+    if (!comment) return false;
+    const video = await Video.findById(comment.video).select(
+      "isPublished owner"
+    );
+    return isVideoVisible(video, userId);
+  }
+  return Boolean(await Model.exists({ _id: targetId }));
+};
+
+// Likes a target if the user hasn't liked it yet, otherwise removes the like.
+// "targetField" is the field on the Like model ("video", "comment" or "tweet") and "Model" is the model of the target.
+// Removing a like is always allowed (e.g. the video was unpublished since), a new like needs a target the user can see.
+// An invisible target answers 404 like a missing one, so this can't be used to find unpublished videos.
+const toggleLike = async (targetField, Model, targetId, userId) => {
+  if (!mongoose.isValidObjectId(targetId)) {
+    throw new ApiError(400, `Invalid ${targetField} id`);
+  }
+
+  const filter = { [targetField]: targetId, likedBy: userId };
+
+  const existingLike = await Like.findOneAndDelete(filter);
+  if (existingLike) {
+    return { isLiked: false };
+  }
+
+  if (!(await isTargetVisible(Model, targetId, userId))) {
+    throw new ApiError(404, `${Model.modelName} not found`);
+  }
+
+  try {
+    await Like.create(filter);
+  } catch (err) {
+    // Duplicate key error: a parallel request has already liked the target.
+    if (err?.code !== 11000) {
+      throw err;
+    }
+  }
+
+  return { isLiked: true };
+};
+
+const toggleVideoLike = asyncHandler(async (req, res) => {
+  const result = await toggleLike(
+    "video",
+    Video,
+    req.params.videoId,
+    req.user?._id
+  );
+
+  // The owner of the video is notified in the background (only for the first like of this user).
+  if (result.isLiked) {
+    notifyVideoLike(req.params.videoId, req.user?._id);
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Video like toggled successfully"));
+});
+
+const toggleCommentLike = asyncHandler(async (req, res) => {
+  const result = await toggleLike(
+    "comment",
+    Comment,
+    req.params.commentId,
+    req.user?._id
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Comment like toggled successfully"));
+});
+
+const toggleTweetLike = asyncHandler(async (req, res) => {
+  const result = await toggleLike(
+    "tweet",
+    Tweet,
+    req.params.tweetId,
+    req.user?._id
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Tweet like toggled successfully"));
+});
+
+// Returns the (paginated) videos liked by the logged-in user, most recently liked first.
+// Unpublished videos are skipped unless they belong to the user.
+const getLikedVideos = asyncHandler(async (req, res) => {
+  const aggregate = Like.aggregate([
+    {
+      $match: {
+        likedBy: req.user?._id,
+        video: { $exists: true },
+      },
+    },
+    {
+      $lookup: {
+        from: "videos",
+        localField: "video",
+        foreignField: "_id",
+        as: "video",
+        pipeline: [
+          {
+            $match: {
+              $or: [{ isPublished: true }, { owner: req.user?._id }],
+            },
+          },
+          {
+            $lookup: {
+              from: "users",
+              localField: "owner",
+              foreignField: "_id",
+              as: "owner",
+              pipeline: [
+                {
+                  $project: {
+                    fullName: 1,
+                    userName: 1,
+                    avatar: 1,
+                  },
+                },
+              ],
+            },
+          },
+          {
+            $addFields: {
+              owner: { $first: "$owner" },
+            },
+          },
+        ],
+      },
+    },
+    {
+      $unwind: "$video",
+    },
+    {
+      $sort: { createdAt: -1, _id: -1 },
+    },
+    {
+      $project: {
+        video: 1,
+        likedAt: "$createdAt",
+      },
+    },
+  ]);
+
+  const likedVideos = await Like.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query)
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, likedVideos, "Liked videos fetched successfully")
+    );
+});
+
+module.exports = {
+  toggleVideoLike,
+  toggleCommentLike,
+  toggleTweetLike,
+  getLikedVideos,
+};
@@ -0,0 +1,195 @@
+const asyncHandler = require("../utils/asyncHandler");
+const ApiError = require("../utils/ApiError");
+const ApiResponse = require("../utils/ApiResponse");
+const Notification = require("../models/notification.model");
+const User = require("../models/user.model");
+const Session = require("../models/session.model");
+const getPaginationOptions = require("../utils/pagination");
+const {
+  subscribeToNotifications,
+  countOpenStreams,
+  notificationDetailsStages,
+} = require("../utils/notifications");
+
+// A comment line is sent this often on the stream, so proxies don't close the connection because it looks idle.
+// The access is checked again at the same time (see getStreamEndReason).
+const STREAM_HEARTBEAT_INTERVAL = 25 * 1000;
+
+// Each open stream holds a connection and a listener, so a user can only have a few (one per tab or device).
+const getMaxStreamsPerUser = () =>
+  Number(process.env.MAX_NOTIFICATION_STREAMS_PER_USER) || 5;
+
+const countUnread = (userId) =>
+  Notification.countDocuments({ recipient: userId, readAt: null });
+
+// Paginated notifications of the logged-in user, newest first. ?unread=true only returns the unread ones.
+const getNotifications = asyncHandler(async (req, res) => {
+  const match = { recipient: req.user._id };
+  if (req.query.unread) {
+    match.readAt = null;
+  }
+
+  const aggregate = Notification.aggregate([
+    { $match: match },
+    { $sort: { createdAt: -1, _id: -1 } },
+    ...notificationDetailsStages(),
+  ]);
+
+  const notifications = await Notification.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query)
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, notifications, "Notifications fetched successfully")
+    );
+});
+
+const getUnreadCount = asyncHandler(async (req, res) => {
+  const unreadCount = await countUnread(req.user._id);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, { unreadCount }, "Unread count fetched successfully")
+    );
+});
+
+const markNotificationRead = asyncHandler(async (req, res) => {
+  const { notificationId } = req.params;
+
+  const notification = await Notification.findOne({
+    _id: notificationId,
+    recipient: req.user._id,
+  });
+  if (!notification) {
+    throw new ApiError(404, "Notification not found");
+  }
+
+  // Marking an already read notification keeps its first readAt.
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, notification, "Notification marked as read"));
+});
+
+const markAllNotificationsRead = asyncHandler(async (req, res) => {
+  const result = await Notification.updateMany(
+    { recipient: req.user._id, readAt: null },
+    { $set: { readAt: new Date() } }
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { markedCount: result.modifiedCount },
+        "All notifications marked as read"
+      )
+    );
+});
+
+// The stream is only authenticated when it opens. Without checking again, it would keep sending notifications after
+// a logout from every device, a password reset, a ban or once the access token has expired.
+// Returns why the stream must be closed, or null if it can stay open.
+const getStreamEndReason = async (req) => {
+  if (req.tokenExpiresAt && req.tokenExpiresAt <= Date.now()) {
+    return "Access token has expired";
+  }
+  if (req.sessionId) {
+    const session = await Session.findById(req.sessionId).select(
+      "revokedAt expiresAt"
+    );
+    if (!session?.isActive()) {
+      return "Session has expired or was revoked";
+    }
+  }
+  const user = await User.findById(req.user._id).select(
+    "status suspendedUntil"
+  );
+  if (!user) {
+    return "Unauthorized request";
+  }
+  return user.getAccessRestriction();
+};
+
+// Server-Sent Events stream: the connection stays open and every new notification of the logged-in user is pushed
+// as soon as it's created. In the browser: new EventSource("/api/v1/notifications/stream", { withCredentials: true }).
+// Events:
+// "ready"        -> sent once when connected, with the current unread count
+// "notification" -> a new notification (same shape as in the list endpoint)
+// "end"          -> the access was lost (logout, ban, expired token...), with the reason. The server closes the stream,
+//                   and the browser's automatic reconnection is refused until the user logs in again.
+const streamNotifications = asyncHandler(async (req, res) => {
+  const unreadCount = await countUnread(req.user._id);
+
+  // Checked right before subscribing, with nothing awaited in between, so parallel requests can't all get through.
+  if (countOpenStreams(req.user._id) >= getMaxStreamsPerUser()) {
+    throw new ApiError(
+      429,
+      "Too many notification streams open, close one first"
+    );
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    // Stops nginx from buffering the events.
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data, id) => {
+    if (id) res.write(`id: ${id}\n`);
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  sendEvent("ready", { unreadCount });
+
+  const unsubscribe = subscribeToNotifications(req.user._id, (notification) =>
+    sendEvent("notification", notification, notification._id)
+  );
+
+  let heartbeat;
+  let isClosed = false;
+  const closeStream = () => {
+    isClosed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+
+  heartbeat = setInterval(async () => {
+    // A database error only skips this check, the next heartbeat tries again.
+    const reason = await getStreamEndReason(req).catch((err) => {
+      console.error("Error checking notification stream access:", err);
+      return null;
+    });
+    // The client may have left while the check was running.
+    if (isClosed) return;
+    if (reason) {
+      sendEvent("end", { reason });
+      return closeStream();
+    }
+    res.write(": heartbeat\n\n");
+  }, STREAM_HEARTBEAT_INTERVAL);
+
+  // The client closed the connection (tab closed, EventSource.close(), network lost...).
+  req.on("close", closeStream);
+});
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  streamNotifications,
+};
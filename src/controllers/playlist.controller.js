@@ -0,0 +1,363 @@
+const mongoose = require("mongoose");
+const asyncHandler = require("../utils/asyncHandler");
+const ApiError = require("../utils/ApiError");
+const ApiResponse = require("../utils/ApiResponse");
+const Playlist = require("../models/playlist.model");
+const Video = require("../models/video.model");
+
+const VISIBILITY_OPTIONS = ["public", "private"];
+
+// Validates the playlistId, fetches the playlist and makes sure the logged-in user owns it.
+// Every handler that modifies a playlist goes through this helper.
+const findOwnedPlaylistOrThrow = async (playlistId, userId) => {
+  if (!mongoose.isValidObjectId(playlistId)) {
+    throw new ApiError(400, "Invalid playlist id");
+  }
+
+  const playlist = await Playlist.findById(playlistId);
+  if (!playlist) {
+    throw new ApiError(404, "Playlist not found");
+  }
+
+  if (!playlist.owner.equals(userId)) {
+    throw new ApiError(403, "You are not allowed to modify this playlist");
+  }
+
+  return playlist;
+};
+
+// name and description come straight from the body, so anything that isn't a string (null, numbers, objects)
+// is rejected here instead of failing on .trim() with a 500.
+const assertTextFields = ({ name, description }) => {
+  if (name !== undefined && typeof name !== "string") {
+    throw new ApiError(400, "Playlist name must be a string");
+  }
+
+  if (description !== undefined && typeof description !== "string") {
+    throw new ApiError(400, "Description must be a string");
+  }
+};
+
+const createPlaylist = asyncHandler(async (req, res) => {
+  const { name, description, visibility = "public" } = req.body;
+
+  assertTextFields({ name, description });
+
+  if (!name?.trim()) {
+    throw new ApiError(400, "Playlist name is required");
+  }
+
+  if (!VISIBILITY_OPTIONS.includes(visibility)) {
+    throw new ApiError(400, "Visibility must be either public or private");
+  }
+
+  const playlist = await Playlist.create({
+    name: name.trim(),
+    description: description?.trim() || "",
+    visibility,
+    owner: req.user?._id,
+  });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, playlist, "Playlist created successfully"));
+});
+
+// Renames the playlist and / or changes its description and visibility. Only the sent fields are updated.
+const updatePlaylist = asyncHandler(async (req, res) => {
+  const { playlistId } = req.params;
+  const { name, description, visibility } = req.body;
+
+  assertTextFields({ name, description });
+
+  if (!name?.trim() && description === undefined && !visibility) {
+    throw new ApiError(
+      400,
+      "Please provide a name, description or visibility to update"
+    );
+  }
+
+  if (visibility && !VISIBILITY_OPTIONS.includes(visibility)) {
+    throw new ApiError(400, "Visibility must be either public or private");
+  }
+
+  const playlist = await findOwnedPlaylistOrThrow(playlistId, req.user?._id);
+
+  if (name?.trim()) playlist.name = name.trim();
+  if (description !== undefined) playlist.description = description.trim();
+  if (visibility) playlist.visibility = visibility;
+
+  await playlist.save();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, playlist, "Playlist updated successfully"));
+});
+
+const deletePlaylist = asyncHandler(async (req, res) => {
+  const { playlistId } = req.params;
+
+  await findOwnedPlaylistOrThrow(playlistId, req.user?._id);
+
+  await Playlist.findByIdAndDelete(playlistId);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Playlist deleted successfully"));
+});
+
+// Adds a video to the end of the playlist.
+const addVideoToPlaylist = asyncHandler(async (req, res) => {
+  const { playlistId, videoId } = req.params;
+
+  if (!mongoose.isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  const playlist = await findOwnedPlaylistOrThrow(playlistId, req.user?._id);
+
+  // Other users' unpublished videos can't be added because they aren't visible to this user.
+  const videoExists = await Video.exists({
+    _id: videoId,
+    $or: [{ isPublished: true }, { owner: req.user?._id }],
+  });
+  if (!videoExists) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  if (playlist.videos.some((id) => id.equals(videoId))) {
+    throw new ApiError(409, "Video is already in the playlist");
+  }
+
+  playlist.videos.push(videoId);
+  await playlist.save();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, playlist, "Video added to playlist"));
+});
+
+const removeVideoFromPlaylist = asyncHandler(async (req, res) => {
+  const { playlistId, videoId } = req.params;
+
+  if (!mongoose.isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  const playlist = await findOwnedPlaylistOrThrow(playlistId, req.user?._id);
+
+  if (!playlist.videos.some((id) => id.equals(videoId))) {
+    throw new ApiError(404, "Video is not in the playlist");
+  }
+
+  // "pull" is a mongoose array helper that removes every matching value.
+  playlist.videos.pull(videoId);
+  await playlist.save();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, playlist, "Video removed from playlist"));
+});
+
+// Reorders the videos of a playlist.
+// The body must contain "videoIds": the same videos that are already in the playlist, in the new order.
+const reorderPlaylistVideos = asyncHandler(async (req, res) => {
+  const { playlistId } = req.params;
+  const { videoIds } = req.body;
+
+  if (!Array.isArray(videoIds)) {
+    throw new ApiError(400, "videoIds must be an array of video ids");
+  }
+
+  const playlist = await findOwnedPlaylistOrThrow(playlistId, req.user?._id);
+
+  const currentIds = playlist.videos.map((id) => id.toString());
+  const newIds = videoIds.map((id) => String(id));
+
+  // The new order must be a permutation of the current videos: same length, no duplicates, nothing added or missing.
+  const isSameSet =
+    newIds.length === currentIds.length &&
+    new Set(newIds).size === newIds.length &&
+    newIds.every((id) => currentIds.includes(id));
+
+  if (!isSameSet) {
+    throw new ApiError(
+      400,
+      "videoIds must contain exactly the videos of the playlist"
+    );
+  }
+
+  playlist.videos = newIds;
+  await playlist.save();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, playlist, "Playlist reordered successfully"));
+});
+
+// Lists the playlists of a user. Private playlists are only returned to their owner.
+const getUserPlaylists = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  if (!mongoose.isValidObjectId(userId)) {
+    throw new ApiError(400, "Invalid user id");
+  }
+
+  const match = { owner: new mongoose.Types.ObjectId(userId) };
+  if (!req.user?._id.equals(userId)) {
+    match.visibility = "public";
+  }
+
+  const playlists = await Playlist.aggregate([
+    {
+      $match: match,
+    },
+    {
+      $addFields: {
+        videosCount: { $size: "$videos" },
+      },
+    },
+    {
+      $sort: { updatedAt: -1 },
+    },
+    {
+      $project: {
+        videos: 0,
+      },
+    },
+  ]);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, playlists, "Playlists fetched successfully"));
+});
+
+// Fetches one playlist with its videos (in playlist order) and each video's owner joined like in getWatchHistory.
+const getPlaylistById = asyncHandler(async (req, res) => {
+  const { playlistId } = req.params;
+
+  if (!mongoose.isValidObjectId(playlistId)) {
+    throw new ApiError(400, "Invalid playlist id");
+  }
+
+  const playlist = await Playlist.aggregate([
+    {
+      $match: {
+        _id: new mongoose.Types.ObjectId(playlistId),
+        $or: [{ visibility: "public" }, { owner: req.user?._id }],
+      },
+    },
+    {
+      $lookup: {
+        from: "videos",
+        localField: "videos",
+        foreignField: "_id",
+        as: "videoDocs",
+        pipeline: [
+          {
+            // Unpublished videos are only visible to their owner.
+            $match: {
+              $or: [{ isPublished: true }, { owner: req.user?._id }],
+            },
+          },
+          {
+            $lookup: {
+              from: "users",
+              localField: "owner",
+              foreignField: "_id",
+              as: "owner",
+              pipeline: [
+                {
+                  $project: {
+                    fullName: 1,
+                    userName: 1,
+                    avatar: 1,
+                  },
+                },
+              ],
+            },
+          },
+          {
+            $addFields: {
+              owner: { $first: "$owner" },
+            },
+          },
+        ],
+      },
+    },
+    {
+      // $lookup doesn't keep the order of the "videos" array, so the joined documents are mapped back onto it.
+      // Videos that were deleted or are hidden from the viewer are filtered out.
+      $addFields: {
+        videos: {
+          $filter: {
+            input: {
+              $map: {
+                input: "$videos",
+                as: "videoId",
+                in: {
+                  $first: {
+                    $filter: {
+                      input: "$videoDocs",
+                      as: "video",
+                      cond: { $eq: ["$$video._id", "$$videoId"] },
+                    },
+                  },
+                },
+              },
+            },
+            as: "video",
+            cond: { $ne: [{ $ifNull: ["$$video", null] }, null] },
+          },
+        },
+      },
+    },
+    {
+      $lookup: {
+        from: "users",
+        localField: "owner",
+        foreignField: "_id",
+        as: "owner",
+        pipeline: [
+          {
+            $project: {
+              fullName: 1,
+              userName: 1,
+              avatar: 1,
+            },
+          },
+        ],
+      },
+    },
+    {
+      $addFields: {
+        owner: { $first: "$owner" },
+        videosCount: { $size: "$videos" },
+      },
+    },
+    {
+      $project: {
+        videoDocs: 0,
+      },
+    },
+  ]);
+
+  if (!playlist?.length) {
+    throw new ApiError(404, "Playlist not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, playlist[0], "Playlist fetched successfully"));
+});
+
+module.exports = {
+  createPlaylist,
+  updatePlaylist,
+  deletePlaylist,
+  addVideoToPlaylist,
+  removeVideoFromPlaylist,
+  reorderPlaylistVideos,
+  getUserPlaylists,
+  getPlaylistById,
+};
@@ -0,0 +1,272 @@
+const asyncHandler = require("../utils/asyncHandler");
+const ApiResponse = require("../utils/ApiResponse");
+const Video = require("../models/video.model");
+const User = require("../models/user.model");
+const Playlist = require("../models/playlist.model");
+const getPaginationOptions = require("../utils/pagination");
+const escapeRegex = require("../utils/escapeRegex");
+const {
+  highlight,
+  highlightSnippet,
+  highlightPrefix,
+} = require("../utils/highlight");
+
+const HOUR = 60 * 60 * 1000;
+
+// ?uploadDate filter: how far back the videos can have been uploaded.
+const UPLOAD_DATE_RANGES = {
+  hour: HOUR,
+  today: 24 * HOUR,
+  week: 7 * 24 * HOUR,
+  month: 30 * 24 * HOUR,
+  year: 365 * 24 * HOUR,
+};
+
+// ?duration filter, in seconds: short is under 4 minutes, medium 4 to 20 minutes, long over 20 minutes.
+// Videos with an unknown duration (null, or 0 for older uploads) don't belong to any bucket, hence the $gt: 0 on short.
+const DURATION_BUCKETS = {
+  short: { $gt: 0, $lt: 4 * 60 },
+  medium: { $gte: 4 * 60, $lte: 20 * 60 },
+  long: { $gt: 20 * 60 },
+};
+
+// Owner block shaped like getWatchHistory's.
+const ownerStages = () => [
+  {
+    $lookup: {
+      from: "users",
+      localField: "owner",
+      foreignField: "_id",
+      as: "owner",
+      pipeline: [{ $project: { fullName: 1, userName: 1, avatar: 1 } }],
+    },
+  },
+  {
+    $addFields: {
+      owner: { $first: "$owner" },
+    },
+  },
+];
+
+// Stages shared by every group: the $text match (it must be the first stage), the relevance score of the text index,
+// and the sort by that score. _id is the tie breaker so results with the same score don't jump between pages.
+const textSearchStages = (q, match) => [
+  { $match: { $text: { $search: q }, ...match } },
+  { $addFields: { score: { $meta: "textScore" } } },
+  { $sort: { score: -1, _id: -1 } },
+];
+
+const searchVideos = async (req, options) => {
+  const { q, uploadDate, duration } = req.query;
+
+  const match = {
+    // Unpublished videos are only visible to their owner.
+    $or: [{ isPublished: true }, { owner: req.user?._id }],
+  };
+  if (uploadDate) {
+    match.createdAt = {
+      $gte: new Date(Date.now() - UPLOAD_DATE_RANGES[uploadDate]),
+    };
+  }
+  if (duration) {
+    match.duration = DURATION_BUCKETS[duration];
+  }
+
+  const aggregate = Video.aggregate([
+    ...textSearchStages(q, match),
+    ...ownerStages(),
+    {
+      $project: {
+        title: 1,
+        description: 1,
+        thumbnail: 1,
+        duration: 1,
+        views: 1,
+        isPublished: 1,
+        createdAt: 1,
+        owner: 1,
+        score: 1,
+      },
+    },
+  ]);
+
+  const result = await Video.aggregatePaginate(aggregate, options);
+  result.docs = result.docs.map((video) => ({
+    ...video,
+    highlights: {
+      title: highlight(video.title, q),
+      description: highlightSnippet(video.description, q),
+    },
+  }));
+  return result;
+};
+
+const searchChannels = async (req, options) => {
+  const { q } = req.query;
+
+  const aggregate = User.aggregate([
+    // Banned accounts don't show up in the search.
+    ...textSearchStages(q, { status: { $ne: "banned" } }),
+    {
+      $lookup: {
+        from: "subscriptions",
+        localField: "_id",
+        foreignField: "channel",
+        as: "subscribers",
+        pipeline: [{ $project: { _id: 1 } }],
+      },
+    },
+    {
+      $project: {
+        userName: 1,
+        fullName: 1,
+        avatar: 1,
+        subscribersCount: { $size: "$subscribers" },
+        score: 1,
+      },
+    },
+  ]);
+
+  const result = await User.aggregatePaginate(aggregate, options);
+  result.docs = result.docs.map((channel) => ({
+    ...channel,
+    highlights: {
+      userName: highlight(channel.userName, q),
+      fullName: highlight(channel.fullName, q),
+    },
+  }));
+  return result;
+};
+
+const searchPlaylists = async (req, options) => {
+  const { q } = req.query;
+
+  const aggregate = Playlist.aggregate([
+    // Private playlists are only visible to their owner.
+    ...textSearchStages(q, {
+      $or: [{ visibility: "public" }, { owner: req.user?._id }],
+    }),
+    ...ownerStages(),
+    {
+      $project: {
+        name: 1,
+        description: 1,
+        visibility: 1,
+        videosCount: { $size: "$videos" },
+        createdAt: 1,
+        owner: 1,
+        score: 1,
+      },
+    },
+  ]);
+
+  const result = await Playlist.aggregatePaginate(aggregate, options);
+  result.docs = result.docs.map((playlist) => ({
+    ...playlist,
+    highlights: {
+      name: highlight(playlist.name, q),
+      description: highlightSnippet(playlist.description, q),
+    },
+  }));
+  return result;
+};
+
+const SEARCH_GROUPS = {
+  videos: searchVideos,
+  channels: searchChannels,
+  playlists: searchPlaylists,
+};
+
+// Algorithm / Steps to search
+// 1. Read the search text (?q) and the group to search (?type, "all" by default).
+// 2. Run a $text search on every requested collection, in parallel. Each one is sorted by the relevance score of its
+//    text index and paginated on its own: with type=all, ?page and ?limit apply to each group (5 results by default).
+// 3. The upload date and duration filters only apply to videos. When one is set, type=all only returns videos.
+// 4. Add the highlighted fields to every result.
+const search = asyncHandler(async (req, res) => {
+  const { q, type, uploadDate, duration } = req.query;
+
+  const hasVideoFilters = Boolean(uploadDate || duration);
+  let groups;
+  if (type === "all") {
+    groups = hasVideoFilters ? ["videos"] : Object.keys(SEARCH_GROUPS);
+  } else {
+    groups = [type];
+  }
+
+  const options = getPaginationOptions(req.query, {
+    defaultLimit: type === "all" ? 5 : 10,
+  });
+
+  const results = await Promise.all(
+    groups.map((group) => SEARCH_GROUPS[group](req, options))
+  );
+
+  const data = { query: q };
+  groups.forEach((group, index) => {
+    data[group] = results[index];
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, data, "Search results fetched successfully"));
+});
+
+// Autocomplete for the search box: videos titles and channels that start with what was typed.
+// The text index only matches whole words, so this uses anchored regular expressions instead. userName is stored in
+// lowercase, so its case-sensitive prefix regex can use the userName index.
+const getSearchSuggestions = asyncHandler(async (req, res) => {
+  const { q, limit } = req.query;
+  const prefix = escapeRegex(q);
+
+  const [videos, channels] = await Promise.all([
+    Video.find({ isPublished: true, title: new RegExp(`^${prefix}`, "i") })
+      .select("title")
+      .sort({ views: -1 })
+      .limit(limit)
+      .lean(),
+    User.find({
+      status: { $ne: "banned" },
+      $or: [
+        { userName: new RegExp(`^${escapeRegex(q.toLowerCase())}`) },
+        { fullName: new RegExp(`^${prefix}`, "i") },
+      ],
+    })
+      .select("userName fullName avatar")
+      .limit(limit)
+      .lean(),
+  ]);
+
+  // The same title can be used by several videos, it's only suggested once.
+  const titles = [...new Set(videos.map((video) => video.title))];
+
+  const suggestions = [
+    ...titles.map((title) => ({
+      type: "video",
+      text: title,
+      highlighted: highlightPrefix(title, q.length),
+    })),
+    ...channels.map((channel) => {
+      // The channel matched either by its fullName or its userName, the one that matched is suggested.
+      const text = channel.fullName.toLowerCase().startsWith(q.toLowerCase())
+        ? channel.fullName
+        : channel.userName;
+      return {
+        type: "channel",
+        text,
+        highlighted: highlightPrefix(text, q.length),
+        _id: channel._id,
+        userName: channel.userName,
+        avatar: channel.avatar,
+      };
+    }),
+  ].slice(0, limit);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, suggestions, "Suggestions fetched successfully")
+    );
+});
+
+module.exports = { search, getSearchSuggestions };
@@ -0,0 +1,74 @@
+const mongoose = require("mongoose");
+const asyncHandler = require("../utils/asyncHandler");
+const ApiError = require("../utils/ApiError");
+const ApiResponse = require("../utils/ApiResponse");
+const Session = require("../models/session.model");
+const { revokeSessions } = require("../utils/session");
+
+// Lists the active sessions (devices) of the logged-in user, most recently used first.
+// "isCurrent" marks the session the request was made from.
+const getMySessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    user: req.user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select("userAgent ip createdAt lastUsedAt expiresAt")
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+  const data = sessions.map((session) => ({
+    ...session,
+    isCurrent: Boolean(req.sessionId?.equals(session._id)),
+  }));
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, data, "Sessions fetched successfully"));
+});
+
+// Revokes one session of the logged-in user, e.g. a lost phone. Its refresh token stops working immediately.
+const revokeSession = asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+
+  if (!mongoose.isValidObjectId(sessionId)) {
+    throw new ApiError(400, "Invalid session id");
+  }
+
+  const session = await Session.findOne({
+    _id: sessionId,
+    user: req.user._id,
+    revokedAt: null,
+  });
+  if (!session) {
+    throw new ApiError(404, "Session not found");
+  }
+
+  await revokeSessions({ _id: session._id }, "revoked");
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Session revoked successfully"));
+});
+
+// Logs the user out of every device, including the current one.
+const logoutAllSessions = asyncHandler(async (req, res) => {
+  await revokeSessions({ user: req.user._id }, "logout-all");
+
+  const options = {
+    httpOnly: true,
+    secure: true,
+  };
+
+  return res
+    .status(200)
+    .clearCookie("accessToken", options)
+    .clearCookie("refreshToken", options)
+    .json(new ApiResponse(200, {}, "Logged out from all devices"));
+});
+
+module.exports = {
+  getMySessions,
+  revokeSession,
+  logoutAllSessions,
+};
@@ -0,0 +1,206 @@
+const mongoose = require("mongoose");
+const asyncHandler = require("../utils/asyncHandler");
+const ApiError = require("../utils/ApiError");
+const ApiResponse = require("../utils/ApiResponse");
+const Subscription = require("../models/subscription.model");
+const User = require("../models/user.model");
+const getPaginationOptions = require("../utils/pagination");
+const { notifyNewSubscriber } = require("../utils/notifications");
+
+// Builds the pipeline stages that join a user's public profile into "fieldName" and add "isSubscribedByViewer".
+// "localField" is the field of the Subscription document that holds the user id (subscriber or channel).
+// isSubscribedByViewer tells the frontend if the logged-in user is subscribed to that user's channel too.
+const profileWithViewerFlag = (localField, fieldName, viewerId) => [
+  {
+    $lookup: {
+      from: "users",
+      localField,
+      foreignField: "_id",
+      as: fieldName,
+      pipeline: [
+        {
+          // Same idea as getUserChannelProfile: join the subscriptions where this user is the channel and the viewer is the subscriber.
+          $lookup: {
+            from: "subscriptions",
+            let: { channelId: "$_id" },
+            pipeline: [
+              {
+                $match: {
+                  $expr: {
+                    $and: [
+                      { $eq: ["$channel", "$$channelId"] },
+                      { $eq: ["$subscriber", viewerId] },
+                    ],
+                  },
+                },
+              },
+            ],
+            as: "viewerSubscription",
+          },
+        },
+        {
+          $addFields: {
+            isSubscribedByViewer: {
+              $cond: {
+                if: { $gt: [{ $size: "$viewerSubscription" }, 0] },
+                then: true,
+                else: false,
+              },
+            },
+          },
+        },
+        {
+          $project: {
+            fullName: 1,
+            userName: 1,
+            avatar: 1,
+            isSubscribedByViewer: 1,
+          },
+        },
+      ],
+    },
+  },
+  {
+    $addFields: {
+      [fieldName]: { $first: `$${fieldName}` },
+    },
+  },
+];
+
+// Algorithm / Steps to toggle a subscription
+// 1. Validate the channelId and make sure the channel exists.
+// 2. Reject subscribing to your own channel.
+// 3. If a subscription already exists, delete it (unsubscribe).
+// 4. Otherwise create it (subscribe). The unique index on (subscriber, channel) protects against duplicates.
+const toggleSubscription = asyncHandler(async (req, res) => {
+  const { channelId } = req.params;
+
+  if (!mongoose.isValidObjectId(channelId)) {
+    throw new ApiError(400, "Invalid channel id");
+  }
+
+  if (req.user?._id.equals(channelId)) {
+    throw new ApiError(400, "You cannot subscribe to your own channel");
+  }
+
+  const channelExists = await User.exists({ _id: channelId });
+  if (!channelExists) {
+    throw new ApiError(404, "Channel not found");
+  }
+
+  const existingSubscription = await Subscription.findOneAndDelete({
+    subscriber: req.user?._id,
+    channel: channelId,
+  });
+
+  if (existingSubscription) {
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { isSubscribed: false },
+          "Unsubscribed successfully"
+        )
+      );
+  }
+
+  try {
+    await Subscription.create({
+      subscriber: req.user?._id,
+      channel: channelId,
+    });
+  } catch (err) {
+    // 11000 is MongoDB's duplicate key error. It means a parallel request has already created the subscription, which is the state we want anyway.
+    if (err?.code !== 11000) {
+      throw err;
+    }
+  }
+
+  // The channel is notified in the background (only the first time this user subscribes).
+  notifyNewSubscriber(channelId, req.user?._id);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, { isSubscribed: true }, "Subscribed successfully")
+    );
+});
+
+// Returns the (paginated) list of users subscribed to a channel.
+const getUserChannelSubscribers = asyncHandler(async (req, res) => {
+  const { channelId } = req.params;
+
+  if (!mongoose.isValidObjectId(channelId)) {
+    throw new ApiError(400, "Invalid channel id");
+  }
+
+  const aggregate = Subscription.aggregate([
+    {
+      $match: { channel: new mongoose.Types.ObjectId(channelId) },
+    },
+    ...profileWithViewerFlag("subscriber", "subscriber", req.user?._id),
+    {
+      $sort: { createdAt: -1, _id: -1 },
+    },
+    {
+      $project: {
+        subscriber: 1,
+        createdAt: 1,
+      },
+    },
+  ]);
+
+  const subscribers = await Subscription.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query)
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, subscribers, "Subscribers fetched successfully")
+    );
+});
+
+// Returns the (paginated) list of channels a user has subscribed to.
+const getSubscribedChannels = asyncHandler(async (req, res) => {
+  const { subscriberId } = req.params;
+
+  if (!mongoose.isValidObjectId(subscriberId)) {
+    throw new ApiError(400, "Invalid subscriber id");
+  }
+
+  const aggregate = Subscription.aggregate([
+    {
+      $match: { subscriber: new mongoose.Types.ObjectId(subscriberId) },
+    },
+    ...profileWithViewerFlag("channel", "channel", req.user?._id),
+    {
+      $sort: { createdAt: -1, _id: -1 },
+    },
+    {
+      $project: {
+        channel: 1,
+        createdAt: 1,
+      },
+    },
+  ]);
+
+  const channels = await Subscription.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query)
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, channels, "Subscribed channels fetched successfully")
+    );
+});
+
+module.exports = {
+  toggleSubscription,
+  getUserChannelSubscribers,
+  getSubscribedChannels,
+};
@@ -0,0 +1,144 @@
+const mongoose = require("mongoose");
+const asyncHandler = require("../utils/asyncHandler");
+const ApiError = require("../utils/ApiError");
+const ApiResponse = require("../utils/ApiResponse");
+const Tweet = require("../models/tweet.model");
+const Like = require("../models/like.model");
+const getPaginationOptions = require("../utils/pagination");
+const { likeStatsStages } = require("../utils/pipelines");
+
+// Community posts are meant to be short, like a tweet.
+const MAX_TWEET_LENGTH = 500;
+
+// content comes straight from the body: anything that isn't a string (null, numbers, objects) is rejected with a 400
+// instead of failing on .trim() with a 500.
+const validateContent = (content) => {
+  if (typeof content !== "string" || !content.trim()) {
+    throw new ApiError(400, "Tweet content is required");
+  }
+  if (content.trim().length > MAX_TWEET_LENGTH) {
+    throw new ApiError(
+      400,
+      `Tweet content cannot be longer than ${MAX_TWEET_LENGTH} characters`
+    );
+  }
+};
+
+// Validates the tweetId, fetches the tweet and makes sure the logged-in user owns it.
+const findOwnedTweetOrThrow = async (tweetId, userId) => {
+  if (!mongoose.isValidObjectId(tweetId)) {
+    throw new ApiError(400, "Invalid tweet id");
+  }
+
+  const tweet = await Tweet.findById(tweetId);
+  if (!tweet) {
+    throw new ApiError(404, "Tweet not found");
+  }
+
+  if (!tweet.owner.equals(userId)) {
+    throw new ApiError(403, "You are not allowed to modify this tweet");
+  }
+
+  return tweet;
+};
+
+const createTweet = asyncHandler(async (req, res) => {
+  const { content } = req.body;
+
+  validateContent(content);
+
+  const tweet = await Tweet.create({
+    content: content.trim(),
+    owner: req.user?._id,
+  });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, tweet, "Tweet created successfully"));
+});
+
+// Returns the paginated tweets of a user, newest first, with likesCount and isLiked for the logged-in user.
+const getUserTweets = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  if (!mongoose.isValidObjectId(userId)) {
+    throw new ApiError(400, "Invalid user id");
+  }
+
+  const aggregate = Tweet.aggregate([
+    {
+      $match: { owner: new mongoose.Types.ObjectId(userId) },
+    },
+    {
+      $lookup: {
+        from: "users",
+        localField: "owner",
+        foreignField: "_id",
+        as: "owner",
+        pipeline: [
+          {
+            $project: {
+              fullName: 1,
+              userName: 1,
+              avatar: 1,
+            },
+          },
+        ],
+      },
+    },
+    {
+      $addFields: {
+        owner: { $first: "$owner" },
+      },
+    },
+    ...likeStatsStages("tweet", req.user?._id),
+    {
+      $sort: { createdAt: -1, _id: -1 },
+    },
+  ]);
+
+  const tweets = await Tweet.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query)
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, tweets, "Tweets fetched successfully"));
+});
+
+const updateTweet = asyncHandler(async (req, res) => {
+  const { tweetId } = req.params;
+  const { content } = req.body;
+
+  validateContent(content);
+
+  const tweet = await findOwnedTweetOrThrow(tweetId, req.user?._id);
+
+  tweet.content = content.trim();
+  await tweet.save();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, tweet, "Tweet updated successfully"));
+});
+
+const deleteTweet = asyncHandler(async (req, res) => {
+  const { tweetId } = req.params;
+
+  await findOwnedTweetOrThrow(tweetId, req.user?._id);
+
+  await Tweet.findByIdAndDelete(tweetId);
+  await Like.deleteMany({ tweet: tweetId });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Tweet deleted successfully"));
+});
+
+module.exports = {
+  createTweet,
+  getUserTweets,
+  updateTweet,
+  deleteTweet,
+};
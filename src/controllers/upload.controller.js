@@ -0,0 +1,358 @@
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const asyncHandler = require("../utils/asyncHandler");
+const ApiError = require("../utils/ApiError");
+const ApiResponse = require("../utils/ApiResponse");
+const UploadSession = require("../models/uploadSession.model");
+const { enqueueJob } = require("../utils/jobQueue");
+const {
+  getUploadDir,
+  createUploadDir,
+  removeUploadDir,
+  parseChecksumHeader,
+  receiveChunk,
+  saveChunk,
+  discardChunk,
+} = require("../utils/resumableUpload");
+// Registers the "upload:process" job.
+require("../jobs/processUpload");
+
+// Resumable uploads for big video files, in the spirit of the tus protocol (https://tus.io):
+//
+// 1. POST   /api/v1/uploads            -> creates the upload (multipart form: thumbnail file, title, description, size,
+//                                         mimeType, optional fileName and checksum). Returns its id in "uploadId".
+// 2. PATCH  /api/v1/uploads/:uploadId  -> sends the next chunk as the raw body (Content-Type:
+//                                         application/offset+octet-stream), with the Upload-Offset header set to the
+//                                         current offset, and optionally Upload-Checksum: "sha256 <base64 digest>".
+// 3. HEAD   /api/v1/uploads/:uploadId  -> after a dropped connection: returns the current offset in Upload-Offset,
+//                                         the client resumes from there with step 2.
+// 4. GET    /api/v1/uploads/:uploadId  -> once the last chunk is in, the file is processed in the background.
+//                                         Poll this until "status" is "completed" (then "video" is the new video id)
+//                                         or "failed" ("error" says why).
+//    DELETE /api/v1/uploads/:uploadId  -> cancels the upload.
+//
+// An upload that doesn't receive a chunk for UPLOAD_EXPIRY_HOURS (default 24) expires and is cleaned up.
+
+const HOUR = 60 * 60 * 1000;
+const MB = 1024 * 1024;
+
+const CHUNK_CONTENT_TYPES = [
+  "application/offset+octet-stream",
+  "application/octet-stream",
+];
+
+const getMaxChunkSize = () =>
+  (Number(process.env.UPLOAD_MAX_CHUNK_SIZE_MB) || 50) * MB;
+
+// Resumable uploads exist for the files too big for a single request, so they have their own limit instead of
+// MAX_VIDEO_SIZE_MB. The chunks are kept on the server's disk until the upload is complete, so each user can also only
+// have a few uploads in progress, and only reserve so much space with them.
+const getMaxUploadSize = () =>
+  (Number(process.env.MAX_RESUMABLE_VIDEO_SIZE_MB) || 4096) * MB;
+const getMaxActiveUploads = () =>
+  Number(process.env.MAX_ACTIVE_UPLOADS_PER_USER) || 3;
+const getMaxReservedBytes = () =>
+  (Number(process.env.MAX_RESERVED_UPLOAD_SIZE_MB) || 8192) * MB;
+
+const getExpiryDate = () =>
+  new Date(Date.now() + (Number(process.env.UPLOAD_EXPIRY_HOURS) || 24) * HOUR);
+
+// Fields of the upload sent to the client. The thumbnail path on the server is not one of them.
+const toUploadStatus = (session) => ({
+  uploadId: session._id,
+  fileName: session.fileName,
+  size: session.size,
+  offset: session.offset,
+  status: session.status,
+  error: session.error,
+  video: session.video,
+  expiresAt: session.expiresAt,
+  maxChunkSize: getMaxChunkSize(),
+});
+
+// The tus headers that tell the client where the upload stands.
+const setUploadHeaders = (res, session) => {
+  res.set({
+    "Upload-Offset": String(session.offset),
+    "Upload-Length": String(session.size),
+    "Upload-Expires": session.expiresAt.toUTCString(),
+    "Cache-Control": "no-store",
+  });
+};
+
+const findUploadOrThrow = async (uploadId, userId) => {
+  if (!mongoose.isValidObjectId(uploadId)) {
+    throw new ApiError(400, "Invalid upload id");
+  }
+  const session = await UploadSession.findOne({ _id: uploadId, owner: userId });
+  if (!session) {
+    throw new ApiError(404, "Upload not found");
+  }
+  return session;
+};
+
+const createUpload = asyncHandler(async (req, res) => {
+  const { title, description, fileName, size, mimeType, checksum } = req.body;
+
+  if (!req.file) {
+    throw new ApiError(400, "Thumbnail file is required");
+  }
+
+  const maxSize = getMaxUploadSize();
+  if (size > maxSize) {
+    throw new ApiError(
+      413,
+      `videoFile is too large, the maximum size is ${Math.floor(maxSize / MB)} MB`
+    );
+  }
+
+  // Uploads still taking space on the disk: waiting for chunks (and not expired yet) or being processed.
+  const [activeUploads = { count: 0, reservedBytes: 0 }] =
+    await UploadSession.aggregate([
+      {
+        $match: {
+          owner: req.user._id,
+          $or: [
+            { status: "uploading", expiresAt: { $gt: new Date() } },
+            { status: "processing" },
+          ],
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          count: { $sum: 1 },
+          reservedBytes: { $sum: "$size" },
+        },
+      },
+    ]);
+  if (activeUploads.count >= getMaxActiveUploads()) {
+    throw new ApiError(
+      429,
+      "You have too many uploads in progress, finish or cancel one first"
+    );
+  }
+  if (activeUploads.reservedBytes + size > getMaxReservedBytes()) {
+    throw new ApiError(
+      429,
+      `Your uploads in progress can't add up to more than ${Math.floor(getMaxReservedBytes() / MB)} MB, finish or cancel one first`
+    );
+  }
+
+  const uploadId = new mongoose.Types.ObjectId();
+  await createUploadDir(uploadId);
+
+  try {
+    // The thumbnail is moved out of public/temp into the upload's folder, so it's cleaned up with the upload.
+    // copy + unlink instead of rename, like the local storage driver, in case tmp and public are on different disks.
+    const thumbnailPath = path.join(
+      getUploadDir(uploadId),
+      `thumbnail${path.extname(req.file.path)}`
+    );
+    await fs.promises.copyFile(req.file.path, thumbnailPath);
+    await fs.promises.rm(req.file.path, { force: true });
+
+    const session = await UploadSession.create({
+      _id: uploadId,
+      owner: req.user._id,
+      title,
+      description,
+      thumbnailPath,
+      fileName,
+      mimeType,
+      size,
+      checksum,
+      expiresAt: getExpiryDate(),
+    });
+
+    setUploadHeaders(res, session);
+    return res
+      .status(201)
+      .location(`${req.baseUrl}/${session._id}`)
+      .json(
+        new ApiResponse(
+          201,
+          toUploadStatus(session),
+          "Upload created, send the file in chunks with PATCH"
+        )
+      );
+  } catch (err) {
+    await removeUploadDir(uploadId);
+    throw err;
+  }
+});
+
+// HEAD: the current offset in the headers, no body.
+const getUploadOffset = asyncHandler(async (req, res) => {
+  const session = await findUploadOrThrow(req.params.uploadId, req.user._id);
+
+  setUploadHeaders(res, session);
+  return res.status(200).end();
+});
+
+const getUploadStatus = asyncHandler(async (req, res) => {
+  const session = await findUploadOrThrow(req.params.uploadId, req.user._id);
+
+  setUploadHeaders(res, session);
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        toUploadStatus(session),
+        "Upload fetched successfully"
+      )
+    );
+});
+
+// Algorithm / Steps to receive a chunk
+// 1. The upload must be waiting for chunks, and the Upload-Offset header must be its current offset
+//    (otherwise the client is out of sync and must ask for the offset with HEAD).
+// 2. Write the body to disk, up to the remaining size of the file and the maximum chunk size.
+// 3. If an Upload-Checksum header was sent, the checksum of what was received must match it.
+// 4. Move the offset forward with an atomic update that checks the offset hasn't changed, so two parallel requests
+//    for the same offset can't both be saved. Then move the chunk to its place, undoing the offset if that fails.
+// 5. If that was the last chunk, the file is processed in the background (jobs/processUpload.js).
+const uploadChunk = asyncHandler(async (req, res) => {
+  const contentType = (req.get("content-type") || "").split(";")[0].trim();
+  if (!CHUNK_CONTENT_TYPES.includes(contentType)) {
+    throw new ApiError(
+      415,
+      "Chunks must be sent with Content-Type: application/offset+octet-stream"
+    );
+  }
+
+  const offsetHeader = req.get("upload-offset");
+  const offset = Number(offsetHeader);
+  if (!offsetHeader || !Number.isInteger(offset) || offset < 0) {
+    throw new ApiError(400, "Upload-Offset header must be a positive integer");
+  }
+  const checksum = parseChecksumHeader(req.get("upload-checksum"));
+
+  const session = await findUploadOrThrow(req.params.uploadId, req.user._id);
+  if (session.status !== "uploading") {
+    throw new ApiError(409, `This upload is ${session.status}`);
+  }
+  if (session.expiresAt < new Date()) {
+    throw new ApiError(410, "This upload has expired");
+  }
+  if (offset !== session.offset) {
+    setUploadHeaders(res, session);
+    throw new ApiError(
+      409,
+      `Upload-Offset doesn't match the current offset (${session.offset})`
+    );
+  }
+
+  const maxBytes = Math.min(session.size - session.offset, getMaxChunkSize());
+  if (Number(req.get("content-length")) > maxBytes) {
+    throw new ApiError(413, `The chunk can't be bigger than ${maxBytes} bytes`);
+  }
+
+  const chunk = await receiveChunk(req, session._id, {
+    maxBytes,
+    algorithm: checksum?.algorithm,
+  });
+
+  if (checksum && checksum.digest !== chunk.digest) {
+    await discardChunk(chunk.partPath);
+    // 460 is the status the tus protocol uses for a checksum mismatch.
+    throw new ApiError(460, "Checksum mismatch, send the chunk again");
+  }
+
+  if (!chunk.bytes) {
+    await discardChunk(chunk.partPath);
+    setUploadHeaders(res, session);
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(200, toUploadStatus(session), "Empty chunk ignored")
+      );
+  }
+
+  const isLastChunk = offset + chunk.bytes === session.size;
+  const updatedSession = await UploadSession.findOneAndUpdate(
+    { _id: session._id, offset, status: "uploading" },
+    {
+      $inc: { offset: chunk.bytes },
+      $set: {
+        expiresAt: getExpiryDate(),
+        status: isLastChunk ? "processing" : "uploading",
+      },
+    },
+    { new: true }
+  );
+  if (!updatedSession) {
+    await discardChunk(chunk.partPath);
+    throw new ApiError(
+      409,
+      "Another chunk was received for this offset, check the offset with HEAD"
+    );
+  }
+
+  // The offset is claimed before the chunk is renamed, so two parallel requests can't write the same chunk file.
+  // If the rename fails, the claim is undone so the client can send the chunk again from the same offset. The rollback
+  // only matches if nothing was accepted after this chunk; otherwise the file has a hole and the upload can't be saved.
+  try {
+    await saveChunk(session._id, chunk.partPath, offset);
+  } catch (err) {
+    await discardChunk(chunk.partPath);
+    const rolledBack = await UploadSession.findOneAndUpdate(
+      { _id: session._id, offset: offset + chunk.bytes },
+      { $inc: { offset: -chunk.bytes }, $set: { status: "uploading" } }
+    );
+    if (!rolledBack) {
+      await UploadSession.updateOne(
+        { _id: session._id },
+        { $set: { status: "failed", error: "A chunk could not be saved" } }
+      );
+    }
+    throw new ApiError(
+      500,
+      "Something went wrong while saving the chunk, check the offset with HEAD and send it again",
+      [],
+      err.stack
+    );
+  }
+
+  if (isLastChunk) {
+    enqueueJob("upload:process", { uploadId: session._id });
+  }
+
+  setUploadHeaders(res, updatedSession);
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        toUploadStatus(updatedSession),
+        isLastChunk
+          ? "Upload complete, the video is being processed"
+          : "Chunk received"
+      )
+    );
+});
+
+// Cancels an upload and deletes what was received. Not possible while the file is being processed.
+const cancelUpload = asyncHandler(async (req, res) => {
+  const session = await findUploadOrThrow(req.params.uploadId, req.user._id);
+  if (session.status === "processing") {
+    throw new ApiError(409, "This upload is being processed");
+  }
+
+  await removeUploadDir(session._id);
+  await UploadSession.deleteOne({ _id: session._id });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Upload cancelled successfully"));
+});
+
+module.exports = {
+  createUpload,
+  getUploadOffset,
+  getUploadStatus,
+  uploadChunk,
+  cancelUpload,
+};
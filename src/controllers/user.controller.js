@@ -1,42 +1,34 @@
 const asyncHandler = require("../utils/asyncHandler");
 const ApiError = require("../utils/ApiError");
 const User = require("../models/user.model");
-const uploadOnCloudinary = require("../utils/cloudinary");
+const { uploadFile, deleteFile } = require("../utils/storage");
 const ApiResponse = require("../utils/ApiResponse");
-const jwt = require("jsonwebtoken");
-
-const generateAccessAndRefreshToken = async (userId) => {
-  try {
-    // Find the user from the database using the userId that we have passed below in the loginUser function.
-    const user = await User.findById(userId);
-
-    // These are instance methods on the User model (defined elsewhere). "generateAccessToken()" typically creates a short-lived JWT. and "generateRefreshToken()" creates a long-lived JWT.
-    // These methods are defined on the User model. And we are using them here too generate the tokens.
-    const accessToken = user.generateAccessToken();
-    const refreshToken = user.generateRefreshToken();
-
-    // Saving the newly generated refreshToken in the database.
-    user.refreshToken = refreshToken;
-    // "validateBeforeSave: false": This statement means that "I trust that this document is mostly valid already — just update this one field without checking the rest."
-    // If we not use this then it will run all schema validations before saving (like required fields, custom validators, etc.) If any validation fails, it will throw an error and NOT save the document.
-    await user.save({ validateBeforeSave: false });
-
-    // The reason we are returning the accessToken and refreshToken is because we need to send these tokens to the frontend so that the frontend can store them in the local storage and use them to authenticate the user.
-    return { accessToken, refreshToken };
-  } catch (err) {
-    throw new ApiError(
-      500,
-      "Something went wrong while generating access and refresh token"
-    );
-  }
-};
+const {
+  createSession,
+  rotateSession,
+  revokeSessions,
+} = require("../utils/session");
+const { sendEmailVerification } = require("../utils/accountEmails");
+const { revokeAccessTokens } = require("../utils/accessTokens");
+const {
+  claimLoginAttempt,
+  settleLoginAttempt,
+} = require("../utils/loginThrottle");
+const LoginAttempt = require("../models/loginAttempt.model");
+const mongoose = require("mongoose");
+const bcrypt = require("bcrypt");
+const Video = require("../models/video.model");
+const getPaginationOptions = require("../utils/pagination");
+
+// The watch history keeps only the most recent entries.
+const MAX_WATCH_HISTORY_ENTRIES = 500;
 
 // Algorithm / Steps to register user into the database
 // 1. Get the user data from frontend | request body
 // 2. Validate the user data - not empty
 // 3. Check if the user already exists - using username or email
 // 4. check for images, check for avatar
-// 5. Upload image to cloudinary, check for avatar
+// 5. Upload image to the storage (cloudinary, local disk or s3), check for avatar
 // 6. create user object - create entry in database
 // 7. send response to frontend - remove password and refresh token
 // 8. check if the user is created or not
@@ -47,12 +39,8 @@ const registerUser = asyncHandler(async (req, res) => {
   // {req.body} is available only if body-parser middleware (e.g., express.json()) is used.
   const { userName, email, password, fullName } = req.body;
 
-  // Validating the data - checking if the user has entered all the fields or not.
-  if (
-    [userName, email, password, fullName].some((field) => field?.trim() === "")
-  ) {
-    throw new ApiError(400, "All fields are required");
-  }
+  // The data has already been validated and sanitized by validate(registerUserSchema) in user.routes.js:
+  // every field is present, the email is well formed, the userName is lowercase and the password is strong enough.
 
   // Check if the user already exists
   const existingUser = await User.findOne({ $or: [{ email }, { userName }] });
@@ -79,9 +67,9 @@ const registerUser = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Avatar image is required");
   }
 
-  // Uploading the avatar and cover image to cloudinary.
-  const avatar = await uploadOnCloudinary(avatarLocalPath);
-  const coverImage = await uploadOnCloudinary(coverImageLocalPath);
+  // Uploading the avatar and cover image to the configured storage.
+  const avatar = await uploadFile(avatarLocalPath);
+  const coverImage = await uploadFile(coverImageLocalPath);
 
   // Checkinng if the avatar and cover image is uploaded successfully or not.
   if (!avatar) {
@@ -89,25 +77,41 @@ const registerUser = asyncHandler(async (req, res) => {
   }
 
   // Creating the user object.
-  const user = await User.create({
-    userName: userName.toLowerCase(),
-    email,
-    password,
-    fullName,
-    avatar: avatar.url,
-    coverImage: coverImage?.url || "",
-  });
+  // If the user can't be created, the files we just uploaded are not referenced by anything, so they are deleted.
+  let user;
+  try {
+    user = await User.create({
+      userName: userName.toLowerCase(),
+      email,
+      password,
+      fullName,
+      avatar: avatar.url,
+      avatarPublicId: avatar.publicId,
+      coverImage: coverImage?.url || "",
+      coverImagePublicId: coverImage?.publicId,
+    });
+  } catch (err) {
+    await deleteFile(avatar.publicId, avatar.resourceType);
+    await deleteFile(coverImage?.publicId, coverImage?.resourceType);
+    throw err;
+  }
 
   // Checking if the user is created or not using finddById method on User model.
-  // After chechking the existencee of user, we are removing the password and refresh token from the user object.
-  const createdUser = await User.findById(user._id).select(
-    "-password -refreshToken"
-  );
+  // After chechking the existencee of user, we are removing the password from the user object.
+  const createdUser = await User.findById(user._id).select("-password");
 
   if (!createdUser) {
     throw new ApiError(500, "Something went wrong while registering user");
   }
 
+  // Sending the verification link. The account is created anyway if the email can't be sent,
+  // the user can ask for a new link later (POST /verify-email/request).
+  try {
+    await sendEmailVerification(createdUser);
+  } catch (err) {
+    console.error("Error sending verification email:", err);
+  }
+
   // Sending the response to the frontend using ApiResponse class.
   return res
     .status(201)
@@ -120,35 +124,60 @@ const registerUser = asyncHandler(async (req, res) => {
 // 3. Check if the user exists - using username or email | Also check if the users password matches with the database's password
 // 4. If yes, then generate access and refresh token and send it in the form of cookies to frontend.
 
+// bcrypt hash of a random password, compared when the account doesn't exist so that the response takes as long as for
+// a wrong password. Otherwise the response time would reveal which accounts exist.
+const DUMMY_PASSWORD_HASH =
+  "$2b$10$Ik/cQ5CibmY.PqDjboLOjuqNKFVdvm11nSunMPfaH9XeLUibZC9s6";
+
 const loginUser = asyncHandler(async (req, res) => {
-  const { userName, password } = req.body;
+  // "userName" can hold either the userName or the email, "email" is accepted too.
+  const { userName, email, password } = req.body;
+  const identifier = email || userName;
 
   // Validating the data - checking if the user has entered all the fields or not.
-  if (!userName || !password) {
+  if (!identifier || !password) {
     throw new ApiError(400, "All fields are required");
   }
 
-  // Checking if the user exists
-  const user = await User.findOne({ userName });
-  if (!user) {
-    throw new ApiError(404, "User not found");
-  }
+  // Both are stored in lowercase, so lowercasing the identifier makes the login case-insensitive.
+  const user = await User.findOne(
+    identifier.includes("@")
+      ? { email: identifier.toLowerCase() }
+      : { userName: identifier.toLowerCase() }
+  );
+
+  // Too many failed attempts on this account or from this IP: rejected before the password is checked.
+  const accountKey = user ? user._id.toString() : identifier.toLowerCase();
+  const attempt = await claimLoginAttempt(req, {
+    user,
+    accountKey,
+    identifier,
+  });
+
+  // Check if the password is correct. The same error is returned whether the account exists or not,
+  // so the response doesn't reveal which usernames are registered.
+  const isPasswordCorrect = user
+    ? await user.comparePassword(password)
+    : await bcrypt.compare(password, DUMMY_PASSWORD_HASH).then(() => false);
+
+  await settleLoginAttempt(attempt, isPasswordCorrect);
 
-  // Check if the password is correct
-  const isPasswordCorrect = await user.comparePassword(password);
   if (!isPasswordCorrect) {
     throw new ApiError(401, "Invalid credentials");
   }
 
-  // Generate access and refresh token using the function we defined above.
-  const { accessToken, refreshToken } = await generateAccessAndRefreshToken(
-    user._id
-  );
+  // Checked only once the password is known to be right, so the account status isn't revealed to anyone else.
+  const restriction = user.getAccessRestriction();
+  if (restriction) {
+    throw new ApiError(403, restriction);
+  }
 
-  // Fetch the user again and explicitly exclude password and refreshToken from the response. This is good security practice to not send sensitive fields to frontend.
-  const loggedInUser = await User.findById(user._id).select(
-    "-password -refreshToken"
-  );
+  // Every login creates a new session (one per device), so logging in on a phone doesn't log the laptop out.
+  // The session stores a hash of the refresh token along with the device's user-agent and IP.
+  const { accessToken, refreshToken } = await createSession(user, req);
+
+  // Fetch the user again and explicitly exclude password from the response. This is good security practice to not send sensitive fields to frontend.
+  const loggedInUser = await User.findById(user._id).select("-password");
 
   // httpOnly: Prevents frontend JS from accessing cookie (protects from XSS).
   // secure: Sends cookie only over HTTPS (won’t work on localhost unless using https).
@@ -172,16 +201,11 @@ const loginUser = asyncHandler(async (req, res) => {
 });
 
 const logoutUser = asyncHandler(async (req, res) => {
-  // "User.findByIdAndUpdate()": A Mongoose function to update a user's document in the database by ID.
-  // { $set: { refreshToken: undefined } }: Removes the value of refresh token from the database, and sets it to undefined.
-  // { new: true }: Returns the updated document with the new refresh token value.
-  User.findByIdAndUpdate(
-    req.user._id,
-    { $set: { refreshToken: undefined } },
-    {
-      new: true,
-    }
-  );
+  // Revokes only the session of this device. req.sessionId is set by verifyJWTToken from the access token.
+  // Other devices stay logged in; see logoutAllSessions in session.controller.js to log out everywhere.
+  if (req.sessionId) {
+    await revokeSessions({ _id: req.sessionId, user: req.user._id }, "logout");
+  }
 
   const options = {
     httpOnly: true,
@@ -199,11 +223,9 @@ const logoutUser = asyncHandler(async (req, res) => {
 // Algorithm / Steps to refresh access token --------------------------------------------------------
 // 1. Read the incoming refresh token.
 // 2. Verify it's present.
-// 3. Decode and verify it using the secret key.
-// 4. Fetch the user based on decoded data.
-// 5. Compare the DB's stored token with the incoming one.
-// 6. If all is good, issue a new access and refresh token.
-// 7. Return them in secure cookies + JSON.
+// 3. Rotate it: rotateSession() checks the token against the session it belongs to, revokes the session if an
+//    already rotated token is reused, and issues a new access and refresh token.
+// 4. Return them in secure cookies + JSON.
 
 const refreshAccessToken = asyncHandler(async (req, res) => {
   // Firstly, we are fetchinng the refresh token from the cookies. If not fouund, we are fetching it from the request body (for mobile users).
@@ -215,53 +237,28 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
     throw new ApiError(401, "Unauthorized request");
   }
 
-  try {
-    // jwt.verify(...): Verifies the integrity and validity of the JWT (refresh token).
-    // Uses a secret key (REFRESH_TOKEN_SECRET) to decode and validate it.
-    // decodeToken: Now contains the payload of the JWT (e.g., _id)
-    const decodeToken = jwt.verify(
-      incomingRefreshToken,
-      process.env.REFRESH_TOKEN_SECRET
-    );
-
-    // Finding the user using the decoded token's id.
-    // Retrieves the user from the database using the _id extracted from the decoded token.
-    const user = await User.findById(decodeToken?._id);
-    if (!user) {
-      throw new ApiError(401, "Invalid Refresh Token");
-    }
-
-    // Checking if the refresh token in the database matches with the incoming refresh token.
-    if (incomingRefreshToken !== user?.refreshToken) {
-      throw new ApiError(401, "Invalid Refresh Token");
-    }
-
-    const options = {
-      httpOnly: true,
-      secure: true,
-    };
+  const { accessToken, refreshToken } = await rotateSession(
+    incomingRefreshToken,
+    req
+  );
 
-    // If everything is fine, we are generating a new access token.
-    // Calls a custom function to generate a new access token and new refresh token.
-    // To maintain security, refresh tokens are usually rotated (old one invalidated).
-    const { accessToken, newRefreshToken } =
-      await generateAccessAndRefreshToken(user._id);
+  const options = {
+    httpOnly: true,
+    secure: true,
+  };
 
-    // Sending the new access token in the response.
-    return res
-      .status(200)
-      .cookie("accessToken", accessToken, options)
-      .cookie("refreshToken", newRefreshToken, options)
-      .json(
-        new ApiResponse(
-          200,
-          { accessToken, refreshToken: newRefreshToken },
-          "Access token refreshed successfully"
-        )
-      );
-  } catch (error) {
-    throw new ApiError(401, error?.message || "Invalid Refresh Token");
-  }
+  // Sending the new tokens in the response. The old refresh token can't be used anymore.
+  return res
+    .status(200)
+    .cookie("accessToken", accessToken, options)
+    .cookie("refreshToken", refreshToken, options)
+    .json(
+      new ApiResponse(
+        200,
+        { accessToken, refreshToken },
+        "Access token refreshed successfully"
+      )
+    );
 });
 
 // This function allows a logged-in user to change their password by:
@@ -277,8 +274,17 @@ const changeCurrentPassword = asyncHandler(async (req, res) => {
   // req.user._id: The authenticated user's ID is usually added to the request object via middleware (e.g., after verifying JWT).
   const user = await User.findById(req.user._id);
 
+  // The old password could be brute-forced here with a stolen access token, so the login lockout applies too.
+  const attempt = await claimLoginAttempt(req, {
+    user,
+    accountKey: user._id.toString(),
+    identifier: user.userName,
+    type: "change-password",
+  });
+
   // user.comparePassword(...): A custom method defined on the User model file to compare plaintext (oldPassword) with the hashed password in DB.
   const isPasswordCorrect = await user.comparePassword(oldPassword);
+  await settleLoginAttempt(attempt, isPasswordCorrect);
   if (!isPasswordCorrect) {
     throw new ApiError(400, "Invalid credentials");
   }
@@ -288,9 +294,24 @@ const changeCurrentPassword = asyncHandler(async (req, res) => {
   user.password = newPassword;
   // Saves the updated user document to the database.
   await user.save({ validateBeforeSave: false });
+
+  // Logs out every other device. The current session stays logged in so the user doesn't have to log in again.
+  // The personal access tokens are revoked too: one may have been created by whoever knew the old password.
+  await revokeSessions(
+    { user: user._id, _id: { $ne: req.sessionId } },
+    "password-changed"
+  );
+  await revokeAccessTokens(user._id);
+
   return res
     .status(200)
-    .json(new ApiResponse(200, {}, "Password changed successfully"));
+    .json(
+      new ApiResponse(
+        200,
+        {},
+        "Password changed successfully, your personal access tokens have been revoked"
+      )
+    );
 });
 
 const getCurrentUser = asyncHandler(async (req, res) => {
@@ -308,6 +329,24 @@ const updateAccountDetails = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Please provide all values");
   }
 
+  // A new email address has to be verified again, and must not belong to another account.
+  const isEmailChanged = email !== req.user?.email;
+  if (isEmailChanged) {
+    const emailTaken = await User.exists({
+      email,
+      _id: { $ne: req.user?._id },
+    });
+    if (emailTaken) {
+      throw new ApiError(409, "Email is already in use");
+    }
+  }
+
+  const fieldsToUpdate = { fullName, email };
+  if (isEmailChanged) {
+    fieldsToUpdate.isEmailVerified = false;
+    fieldsToUpdate.emailVerifiedAt = null;
+  }
+
   // User.findByIdAndUpdate(...): Updates the user with the provided _id (authenticated user's ID).
   // req.user?._id: Extracts the user's ID from the request object. This ID must have been added during authentication (e.g., from a middleware that decodes JWT).
   // $set: A MongoDB operator to set the fields (fullName, email) to new values.
@@ -316,20 +355,40 @@ const updateAccountDetails = asyncHandler(async (req, res) => {
   const user = await User.findByIdAndUpdate(
     req.user?._id,
     {
-      $set: { fullName, email },
+      $set: fieldsToUpdate,
     },
     { new: true }
   ).select("-password");
+
+  // The new email is already saved, so a mail failure must not turn the update into an error.
+  // Like at registration, the user can ask for a new link later.
+  if (isEmailChanged) {
+    try {
+      await sendEmailVerification(user);
+    } catch (err) {
+      console.error("Error sending verification email:", err);
+    }
+  }
+
   return res
     .status(200)
-    .json(new ApiResponse(200, {}, "Account details updated successfully"));
+    .json(
+      new ApiResponse(
+        200,
+        user,
+        isEmailChanged
+          ? "Account details updated, please verify your new email address"
+          : "Account details updated successfully"
+      )
+    );
 });
 
 // Algorithm / Steps to handle the uploading and updating of a user’s avatar/profile picture.
 // 1. Get the uploaded image from local server.
 // 2. Upload it to Cloudinary (a cloud-based image hosting service).
-// 3. Save the image URL in the user’s profile.
-// 4. Return a success response.
+// 3. Save the image URL (and its publicId) in the user’s profile.
+// 4. Delete the previous avatar from the storage, now that nothing points to it anymore.
+// 5. Return a success response.
 
 const updateUserAvatar = asyncHandler(async (req, res) => {
   // "req.file": Comes from multer (a Node.js middleware for handling multipart/form-data for file uploads).
@@ -341,24 +400,30 @@ const updateUserAvatar = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Please provide an avatar");
   }
 
-  // Upload the image to Cloudinary.
-  const avatar = await uploadOnCloudinary(avatarLocalPath);
+  // Upload the image to the configured storage. uploadFile() deletes the temp file whether the upload worked or not.
+  const avatar = await uploadFile(avatarLocalPath);
 
   // If the upload fails, throw an error.
-  if (!avatar.url) {
-    // Delete temp file even if Cloudinary upload fails
-    fs.unlinkSync(avatarLocalPath);
+  if (!avatar?.url) {
     throw new ApiError(400, "Avatar uploading failed");
   }
 
+  // req.user was loaded by verifyJWTToken before the update, so it still holds the previous avatar.
+  const previousAvatarPublicId = req.user?.avatarPublicId;
+
   const user = await User.findByIdAndUpdate(
     req.user?._id,
     {
-      $set: { avatar: avatar.url },
+      $set: { avatar: avatar.url, avatarPublicId: avatar.publicId },
     },
     { new: true }
   ).select("-password");
 
+  // The old file is only deleted once the new one is saved, so a failed update never leaves the user without an avatar.
+  if (previousAvatarPublicId && previousAvatarPublicId !== avatar.publicId) {
+    await deleteFile(previousAvatarPublicId, "image");
+  }
+
   return res
     .status(200)
     .json(new ApiResponse(200, user, "Avatar updated successfully"));
@@ -371,19 +436,31 @@ const updateUserCoverImage = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Please provide a cover image");
   }
 
-  const coverImage = await uploadOnCloudinary(coverImageLocalPath);
-  if (!coverImage.url) {
+  const coverImage = await uploadFile(coverImageLocalPath);
+  if (!coverImage?.url) {
     throw new ApiError(400, "Cover image uploading failed");
   }
 
+  const previousCoverImagePublicId = req.user?.coverImagePublicId;
+
   const user = await User.findByIdAndUpdate(
     req.user?._id,
     {
-      $set: { coverImage: coverImage.url },
+      $set: {
+        coverImage: coverImage.url,
+        coverImagePublicId: coverImage.publicId,
+      },
     },
     { new: true }
   ).select("-password");
 
+  if (
+    previousCoverImagePublicId &&
+    previousCoverImagePublicId !== coverImage.publicId
+  ) {
+    await deleteFile(previousCoverImagePublicId, "image");
+  }
+
   return res
     .status(200)
     .json(new ApiResponse(200, user, "Cover image updated successfully"));
@@ -434,12 +511,45 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
         as: "subscribedTo",
       },
     },
+    {
+      // Fetches the public playlists of this channel, newest first, so they can be shown on the channel page.
+      // Private playlists are never part of the channel profile, even for the owner.
+      $lookup: {
+        from: "playlists",
+        localField: "_id",
+        foreignField: "owner",
+        as: "playlists",
+        pipeline: [
+          { $match: { visibility: "public" } },
+          { $sort: { updatedAt: -1 } },
+          {
+            $project: {
+              name: 1,
+              description: 1,
+              videosCount: { $size: "$videos" },
+              updatedAt: 1,
+            },
+          },
+        ],
+      },
+    },
+    {
+      // Fetches the ids of the community posts (tweets) of this channel, only to count them.
+      $lookup: {
+        from: "tweets",
+        localField: "_id",
+        foreignField: "owner",
+        as: "posts",
+        pipeline: [{ $project: { _id: 1 } }],
+      },
+    },
     {
       // Adds new computed fields to the documents
       // ($size): Counts the number of subscribers.
       $addFields: {
         subscribersCount: { $size: "$subscribers" },
         subscribedToCount: { $size: "$subscribedTo" },
+        postsCount: { $size: "$posts" },
 
         // Checks if the currently logged-in user (req.user._id) exists in the subscribers.subscriber array.
         // Why? To show a "Subscribed"/"Unsubscribed" button on frontend based on status.
@@ -468,12 +578,13 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
         coverImage: 1,
         subscribersCount: 1,
         subscribedToCount: 1,
+        postsCount: 1,
         isSubscribedToChannel: 1,
+        playlists: 1,
         email: 1,
       },
     },
   ]);
-  console.log(channel);
 
   // If no channel is found, throw an error.
   if (!channel?.length) {
@@ -488,8 +599,10 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
     );
 });
 
+// Returns the (paginated) watch history of the logged-in user, most recently watched first.
+// Each entry has the video (with its owner), when it was watched and the last playback position.
 const getWatchHistory = asyncHandler(async (req, res) => {
-  const user = await User.aggregate([
+  const aggregate = User.aggregate([
     {
       // Purpose: Filters the User collection to find only the current user. Uses _id (indexed field) for fast lookup.
       $match: {
@@ -497,17 +610,27 @@ const getWatchHistory = asyncHandler(async (req, res) => {
       },
     },
     {
-      // Joins the User collection with videos using:
-      // localField: watchHistory (array of video IDs stored in the user document).
-      // foreignField: _id (the video's primary key).
-      // as: Stores the joined videos back into watchHistory.
-      // Converting video IDs into full video documents.
+      // Turns the watchHistory array into one document per entry, so the entries can be sorted and paginated.
+      // A user with an empty history simply produces no documents (instead of crashing on user[0]).
+      $unwind: "$watchHistory",
+    },
+    {
+      $replaceRoot: { newRoot: "$watchHistory" },
+    },
+    {
+      // Joins the video of each entry.
+      // Videos that were unpublished by someone else are hidden, like everywhere else.
       $lookup: {
         from: "videos",
-        localField: "watchHistory",
+        localField: "video",
         foreignField: "_id",
-        as: "watchHistory",
+        as: "video",
         pipeline: [
+          {
+            $match: {
+              $or: [{ isPublished: true }, { owner: req.user._id }],
+            },
+          },
           {
             // What it does: For each video, it fetches the owner's details (fullName, userName, avatar).
             // Why?: Avoids sending unnecessary user data (like email, password).
@@ -538,19 +661,192 @@ const getWatchHistory = asyncHandler(async (req, res) => {
         ],
       },
     },
+    {
+      // Entries whose video was deleted or hidden are skipped.
+      $unwind: "$video",
+    },
+    {
+      $sort: { watchedAt: -1 },
+    },
   ]);
 
+  const watchHistory = await User.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query)
+  );
+
   return res
     .status(200)
     .json(
       new ApiResponse(
         200,
-        user[0].watchHistory,
+        watchHistory,
         "User Watch History fetched successfully"
       )
     );
 });
 
+// Algorithm / Steps to record a view in the watch history
+// 1. Validate the videoId and the playback position.
+// 2. Make sure the video exists and is visible to the user.
+// 3. If the user paused the watch history, do nothing.
+// 4. Remove the old entry of this video (if any) and put a new one at the top, in a single update.
+const addToWatchHistory = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const { position = 0 } = req.body;
+
+  if (!mongoose.isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  const playbackPosition = Number(position);
+  if (!Number.isFinite(playbackPosition) || playbackPosition < 0) {
+    throw new ApiError(400, "Position must be a positive number of seconds");
+  }
+
+  const videoExists = await Video.exists({
+    _id: videoId,
+    $or: [{ isPublished: true }, { owner: req.user._id }],
+  });
+  if (!videoExists) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  if (req.user.isWatchHistoryPaused) {
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { recorded: false },
+          "Watch history is paused, view not recorded"
+        )
+      );
+  }
+
+  const videoObjectId = new mongoose.Types.ObjectId(videoId);
+
+  // An update with an aggregation pipeline lets us filter out the old entry and prepend the new one atomically,
+  // so two quick requests for the same video can't create duplicates.
+  // $slice keeps the history from growing forever.
+  await User.updateOne({ _id: req.user._id }, [
+    {
+      $set: {
+        watchHistory: {
+          $slice: [
+            {
+              $concatArrays: [
+                [
+                  {
+                    video: videoObjectId,
+                    watchedAt: "$$NOW",
+                    position: playbackPosition,
+                  },
+                ],
+                {
+                  $filter: {
+                    input: { $ifNull: ["$watchHistory", []] },
+                    as: "entry",
+                    cond: { $ne: ["$$entry.video", videoObjectId] },
+                  },
+                },
+              ],
+            },
+            MAX_WATCH_HISTORY_ENTRIES,
+          ],
+        },
+      },
+    },
+  ]);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { recorded: true, video: videoId, position: playbackPosition },
+        "Watch history updated successfully"
+      )
+    );
+});
+
+const removeFromWatchHistory = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!mongoose.isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  await User.updateOne(
+    { _id: req.user._id },
+    { $pull: { watchHistory: { video: videoId } } }
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Video removed from watch history"));
+});
+
+const clearWatchHistory = asyncHandler(async (req, res) => {
+  await User.updateOne({ _id: req.user._id }, { $set: { watchHistory: [] } });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Watch history cleared successfully"));
+});
+
+// Pauses or resumes the watch history. Send { paused: true | false }, or nothing to toggle the current value.
+const toggleWatchHistoryPause = asyncHandler(async (req, res) => {
+  const { paused } = req.body;
+
+  if (paused !== undefined && typeof paused !== "boolean") {
+    throw new ApiError(400, "Paused must be a boolean");
+  }
+
+  const isWatchHistoryPaused =
+    paused === undefined ? !req.user.isWatchHistoryPaused : paused;
+
+  await User.updateOne(
+    { _id: req.user._id },
+    { $set: { isWatchHistoryPaused } }
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { isWatchHistoryPaused },
+        isWatchHistoryPaused ? "Watch history paused" : "Watch history resumed"
+      )
+    );
+});
+
+// Lists the recent failed password attempts on the logged-in user's account, newest first,
+// so the user can notice that someone is trying to get in.
+const getFailedLoginAttempts = asyncHandler(async (req, res) => {
+  const aggregate = LoginAttempt.aggregate([
+    { $match: { user: req.user._id, success: false, pending: { $ne: true } } },
+    { $sort: { createdAt: -1 } },
+    { $project: { type: 1, ip: 1, userAgent: 1, createdAt: 1 } },
+  ]);
+
+  const attempts = await LoginAttempt.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query)
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        attempts,
+        "Failed login attempts fetched successfully"
+      )
+    );
+});
+
 module.exports = {
   registerUser,
   loginUser,
@@ -563,4 +859,9 @@ module.exports = {
   updateUserCoverImage,
   getUserChannelProfile,
   getWatchHistory,
+  addToWatchHistory,
+  removeFromWatchHistory,
+  clearWatchHistory,
+  toggleWatchHistoryPause,
+  getFailedLoginAttempts,
 };
@@ -0,0 +1,419 @@
+const mongoose = require("mongoose");
+const asyncHandler = require("../utils/asyncHandler");
+const ApiError = require("../utils/ApiError");
+const ApiResponse = require("../utils/ApiResponse");
+const Video = require("../models/video.model");
+const { uploadFile, deleteFile } = require("../utils/storage");
+const getPaginationOptions = require("../utils/pagination");
+const { likeStatsStages } = require("../utils/pipelines");
+const escapeRegex = require("../utils/escapeRegex");
+const { deleteVideoWithRelatedData } = require("../utils/videoCleanup");
+const { notifyNewVideo } = require("../utils/notifications");
+const { recordView } = require("../utils/viewCounter");
+
+// Small helper used by every handler below that works on a single video.
+// 1. Validates the videoId coming from the URL (avoids a CastError from mongoose).
+// 2. Fetches the video.
+// 3. Optionally checks that the logged-in user is the owner of the video.
+const findVideoOrThrow = async (
+  videoId,
+  userId,
+  { ownerOnly = false } = {}
+) => {
+  if (!mongoose.isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  const video = await Video.findById(videoId);
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  // ".equals()" is used because owner is an ObjectId and not a plain string.
+  if (ownerOnly && !video.owner?.equals(userId)) {
+    throw new ApiError(403, "You are not allowed to modify this video");
+  }
+
+  return video;
+};
+
+// Fields the listing can be sorted by (getAllVideosSchema rejects anything else, the fallback is only a safety net).
+const SORTABLE_FIELDS = ["createdAt", "views", "duration"];
+
+// Algorithm / Steps to list videos
+// 1. Read page, limit, query (search text), sortBy, sortType and userId from the query string (checked by getAllVideosSchema).
+// 2. Build a $match stage: only published videos, except the logged-in user's own videos.
+// 3. Search the text in title and description (case-insensitive).
+// 4. Join the owner's public details like getWatchHistory does.
+// 5. Let mongoose-aggregate-paginate-v2 (registered on videoSchema) slice the result into pages.
+const getAllVideos = asyncHandler(async (req, res) => {
+  const { query, sortBy = "createdAt", sortType = "desc", userId } = req.query;
+
+  // Unpublished videos are only visible to their owner.
+  const match = {
+    $or: [{ isPublished: true }, { owner: req.user?._id }],
+  };
+
+  if (userId) {
+    if (!mongoose.isValidObjectId(userId)) {
+      throw new ApiError(400, "Invalid user id");
+    }
+    match.owner = new mongoose.Types.ObjectId(userId);
+  }
+
+  // Videos with an unknown duration (null, or 0 for the ones stored before that) can't be placed in a duration sort,
+  // so they are left out of it. $gt only matches numbers, which also skips the nulls.
+  if (sortBy === "duration") {
+    match.duration = { $gt: 0 };
+  }
+
+  const pipeline = [{ $match: match }];
+
+  if (query?.trim()) {
+    const searchRegex = new RegExp(escapeRegex(query.trim()), "i");
+    pipeline.push({
+      $match: {
+        $or: [{ title: searchRegex }, { description: searchRegex }],
+      },
+    });
+  }
+
+  pipeline.push(
+    {
+      $lookup: {
+        from: "users",
+        localField: "owner",
+        foreignField: "_id",
+        as: "owner",
+        pipeline: [
+          {
+            $project: {
+              fullName: 1,
+              userName: 1,
+              avatar: 1,
+            },
+          },
+        ],
+      },
+    },
+    {
+      $addFields: {
+        owner: { $first: "$owner" },
+      },
+    },
+    {
+      // _id is added as a tie breaker so that videos with the same value don't jump between pages.
+      $sort: {
+        [SORTABLE_FIELDS.includes(sortBy) ? sortBy : "createdAt"]:
+          sortType === "asc" ? 1 : -1,
+        _id: sortType === "asc" ? 1 : -1,
+      },
+    }
+  );
+
+  // aggregatePaginate() expects the aggregate object itself (not awaited) so it can add $skip/$limit and a count on top of it.
+  const videos = await Video.aggregatePaginate(
+    Video.aggregate(pipeline),
+    getPaginationOptions(req.query)
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, videos, "Videos fetched successfully"));
+});
+
+// Algorithm / Steps to publish (upload) a video
+// 1. Get title and description from the request body and validate them.
+// 2. Get the local paths of videoFile and thumbnail saved by multer.
+// 3. Upload both files to the configured storage.
+// 4. Create the video document with the urls and the duration returned by the storage.
+// 5. Send the created video back to the frontend.
+const publishAVideo = asyncHandler(async (req, res) => {
+  const { title, description } = req.body;
+
+  if ([title, description].some((field) => !field?.trim())) {
+    throw new ApiError(400, "Title and description are required");
+  }
+
+  // Same approach as registerUser: multer's upload.fields() puts each file inside an array on req.files.
+  const videoLocalPath = req.files?.videoFile?.[0]?.path;
+  const thumbnailLocalPath = req.files?.thumbnail?.[0]?.path;
+
+  if (!videoLocalPath) {
+    throw new ApiError(400, "Video file is required");
+  }
+  if (!thumbnailLocalPath) {
+    throw new ApiError(400, "Thumbnail is required");
+  }
+
+  const videoFile = await uploadFile(videoLocalPath);
+  const thumbnail = await uploadFile(thumbnailLocalPath);
+
+  // If only one of the two uploads worked, the other file is useless, so it's deleted before failing.
+  if (!videoFile?.url || !thumbnail?.url) {
+    await deleteFile(videoFile?.publicId, videoFile?.resourceType);
+    await deleteFile(thumbnail?.publicId, thumbnail?.resourceType);
+  }
+  if (!videoFile?.url) {
+    throw new ApiError(500, "Something went wrong while uploading the video");
+  }
+  if (!thumbnail?.url) {
+    throw new ApiError(
+      500,
+      "Something went wrong while uploading the thumbnail"
+    );
+  }
+
+  // Cloudinary returns the duration (in seconds) for video uploads. We store it so the frontend can show it without downloading the file.
+  // The local and s3 drivers can't read it and return null, which is stored as is so an unknown duration isn't shown as 0:00.
+  let video;
+  try {
+    video = await Video.create({
+      title: title.trim(),
+      description: description.trim(),
+      videoFile: videoFile.url,
+      videoFilePublicId: videoFile.publicId,
+      thumbnail: thumbnail.url,
+      thumbnailPublicId: thumbnail.publicId,
+      duration: videoFile.duration ?? null,
+      owner: req.user?._id,
+    });
+  } catch (err) {
+    await deleteFile(videoFile.publicId, videoFile.resourceType);
+    await deleteFile(thumbnail.publicId, thumbnail.resourceType);
+    throw err;
+  }
+
+  // Subscribers are notified in the background, the response doesn't wait for it.
+  notifyNewVideo(video);
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, video, "Video published successfully"));
+});
+
+const getVideoById = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!mongoose.isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  const video = await Video.aggregate([
+    {
+      // Unpublished videos are only visible to their owner.
+      $match: {
+        _id: new mongoose.Types.ObjectId(videoId),
+        $or: [{ isPublished: true }, { owner: req.user?._id }],
+      },
+    },
+    ...likeStatsStages("video", req.user?._id),
+    {
+      $lookup: {
+        from: "users",
+        localField: "owner",
+        foreignField: "_id",
+        as: "owner",
+        pipeline: [
+          {
+            $project: {
+              fullName: 1,
+              userName: 1,
+              avatar: 1,
+            },
+          },
+        ],
+      },
+    },
+    {
+      $addFields: {
+        owner: { $first: "$owner" },
+      },
+    },
+  ]);
+
+  if (!video?.length) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, video[0], "Video fetched successfully"));
+});
+
+// Only the owner can update the title, description and thumbnail of a video.
+// Every field is optional, only the ones that are sent get updated.
+const updateVideo = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const { title, description } = req.body;
+  const thumbnailLocalPath = req.file?.path;
+
+  if (!title?.trim() && !description?.trim() && !thumbnailLocalPath) {
+    throw new ApiError(400, "Please provide a title, description or thumbnail");
+  }
+
+  const existingVideo = await findVideoOrThrow(videoId, req.user?._id, {
+    ownerOnly: true,
+  });
+
+  const fieldsToUpdate = {};
+  if (title?.trim()) fieldsToUpdate.title = title.trim();
+  if (description?.trim()) fieldsToUpdate.description = description.trim();
+
+  if (thumbnailLocalPath) {
+    const thumbnail = await uploadFile(thumbnailLocalPath);
+    if (!thumbnail?.url) {
+      throw new ApiError(500, "Thumbnail uploading failed");
+    }
+    fieldsToUpdate.thumbnail = thumbnail.url;
+    fieldsToUpdate.thumbnailPublicId = thumbnail.publicId;
+  }
+
+  const video = await Video.findByIdAndUpdate(
+    videoId,
+    { $set: fieldsToUpdate },
+    { new: true }
+  );
+
+  // The previous thumbnail is deleted only after the new one has been saved.
+  if (
+    fieldsToUpdate.thumbnailPublicId &&
+    existingVideo.thumbnailPublicId &&
+    existingVideo.thumbnailPublicId !== fieldsToUpdate.thumbnailPublicId
+  ) {
+    await deleteFile(existingVideo.thumbnailPublicId, "image");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, video, "Video updated successfully"));
+});
+
+const deleteVideo = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  const video = await findVideoOrThrow(videoId, req.user?._id, {
+    ownerOnly: true,
+  });
+
+  // Removes the files, the comments, the likes and the playlist entries too.
+  await deleteVideoWithRelatedData(video);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Video deleted successfully"));
+});
+
+// Flips the isPublished flag. Unpublished videos stay in the database but are hidden from other users.
+const togglePublishStatus = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  const video = await findVideoOrThrow(videoId, req.user?._id, {
+    ownerOnly: true,
+  });
+
+  // A video unpublished by a moderator can't be published again by its owner.
+  if (video.isModerationLocked) {
+    throw new ApiError(403, "This video was unpublished by a moderator");
+  }
+
+  video.isPublished = !video.isPublished;
+  await video.save({ validateBeforeSave: false });
+
+  // Does nothing if the subscribers were already notified about this video.
+  if (video.isPublished) {
+    notifyNewVideo(video);
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { isPublished: video.isPublished },
+        "Video publish status toggled successfully"
+      )
+    );
+});
+
+// Records a view of the video. Can be called by anonymous viewers.
+// The same viewer is only counted once per video in the deduplication window (see utils/viewCounter.js), and the
+// count is written to the database in batches, so Video.views can lag a few seconds behind.
+const recordVideoView = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!mongoose.isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video id");
+  }
+
+  // Unpublished videos are only visible to their owner.
+  const videoExists = await Video.exists({
+    _id: videoId,
+    $or: [{ isPublished: true }, { owner: req.user?._id }],
+  });
+  if (!videoExists) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  const isCounted = await recordView(videoId, req);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { isCounted },
+        isCounted ? "View recorded successfully" : "View already counted"
+      )
+    );
+});
+
+// Paginated list of the trending videos, highest score first. The scores are computed periodically by jobs/trending.js.
+const getTrendingVideos = asyncHandler(async (req, res) => {
+  const aggregate = Video.aggregate([
+    { $match: { isPublished: true, trendingScore: { $gt: 0 } } },
+    { $sort: { trendingScore: -1, _id: -1 } },
+    {
+      $lookup: {
+        from: "users",
+        localField: "owner",
+        foreignField: "_id",
+        as: "owner",
+        pipeline: [
+          {
+            $project: {
+              fullName: 1,
+              userName: 1,
+              avatar: 1,
+            },
+          },
+        ],
+      },
+    },
+    {
+      $addFields: {
+        owner: { $first: "$owner" },
+      },
+    },
+  ]);
+
+  const videos = await Video.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query)
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, videos, "Trending videos fetched successfully"));
+});
+
+module.exports = {
+  getAllVideos,
+  publishAVideo,
+  getVideoById,
+  updateVideo,
+  deleteVideo,
+  togglePublishStatus,
+  recordVideoView,
+  getTrendingVideos,
+};
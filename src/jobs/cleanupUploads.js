@@ -0,0 +1,76 @@
+const fs = require("fs");
+const path = require("path");
+const UploadSession = require("../models/uploadSession.model");
+const { UPLOADS_DIR, removeUploadDir } = require("../utils/resumableUpload");
+
+// Cleans up the resumable uploads (see upload.controller.js):
+// - uploads that didn't receive a chunk before their expiresAt are abandoned: their folder (chunks and thumbnail) is
+//   deleted from tmp/uploads along with the session;
+// - completed and failed sessions are only kept for the client to read their status, they are deleted once expired;
+// - folders without a session (e.g. the session was deleted by hand) are deleted once they are older than the expiry.
+// Runs every UPLOAD_CLEANUP_INTERVAL_MINUTES (default 30), started by server.js.
+
+const MINUTE = 60 * 1000;
+
+let cleanupTimer = null;
+
+const cleanupUploads = async () => {
+  const now = new Date();
+  const maxAge = (Number(process.env.UPLOAD_EXPIRY_HOURS) || 24) * 60 * MINUTE;
+
+  // Uploads being processed are left to their job, which deletes the folder when it's done. Unless they have been
+  // processing for longer than the expiry: the process was stopped in the middle and the job will never finish.
+  const expiredSessions = await UploadSession.find({
+    expiresAt: { $lt: now },
+    $or: [
+      { status: { $ne: "processing" } },
+      { updatedAt: { $lt: new Date(now - maxAge) } },
+    ],
+  }).select("_id");
+
+  for (const session of expiredSessions) {
+    await removeUploadDir(session._id);
+    await UploadSession.deleteOne({ _id: session._id });
+  }
+
+  const entries = await fs.promises
+    .readdir(UPLOADS_DIR, { withFileTypes: true })
+    .catch((err) => {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    });
+
+  let orphanedFolders = 0;
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+
+    const { mtime } = await fs.promises.stat(
+      path.join(UPLOADS_DIR, entry.name)
+    );
+    if (now - mtime < maxAge) continue;
+
+    const sessionExists = await UploadSession.exists({ _id: entry.name }).catch(
+      () => false
+    );
+    if (!sessionExists) {
+      await removeUploadDir(entry.name);
+      orphanedFolders++;
+    }
+  }
+
+  return { expiredUploads: expiredSessions.length, orphanedFolders };
+};
+
+const cleanupSafely = () =>
+  cleanupUploads().catch((err) =>
+    console.error("Error cleaning up uploads:", err)
+  );
+
+const startUploadCleanup = () => {
+  if (cleanupTimer) return;
+  const interval =
+    (Number(process.env.UPLOAD_CLEANUP_INTERVAL_MINUTES) || 30) * MINUTE;
+  cleanupTimer = setInterval(cleanupSafely, interval);
+};
+
+module.exports = { cleanupUploads, startUploadCleanup };
@@ -0,0 +1,130 @@
+const fs = require("fs");
+const UploadSession = require("../models/uploadSession.model");
+const Video = require("../models/video.model");
+const { uploadFile, deleteFile } = require("../utils/storage");
+const { detectFileType } = require("../utils/fileSignature");
+const { UPLOAD_POLICIES } = require("../middleware/uploadFile.middleware");
+const { notifyNewVideo } = require("../utils/notifications");
+const { enqueueJob, registerJobHandler } = require("../utils/jobQueue");
+const { assembleChunks, removeUploadDir } = require("../utils/resumableUpload");
+
+// Runs in the background once the last chunk of a resumable upload is received (see upload.controller.js).
+//
+// Algorithm / Steps
+// 1. Concatenate the chunks into a single file.
+// 2. Check the SHA-256 of the whole file, if the client gave one when creating the upload.
+// 3. Check the real type of the file from its magic bytes, like the multer uploads (uploadFile.middleware.js),
+//    and give it the matching extension.
+// 4. Send the video and the thumbnail to the storage layer and create the Video.
+// 5. Mark the upload as completed (or failed, with the reason) and delete its folder.
+
+const failUpload = async (session, error) => {
+  await UploadSession.updateOne(
+    { _id: session._id },
+    { $set: { status: "failed", error } }
+  );
+};
+
+const processUpload = async ({ uploadId }) => {
+  const session = await UploadSession.findOne({
+    _id: uploadId,
+    status: "processing",
+  });
+  if (!session) return;
+
+  let filePath;
+  try {
+    let assembled;
+    try {
+      assembled = await assembleChunks(session._id, session.size);
+    } catch (err) {
+      console.error("Error assembling upload:", err);
+      return await failUpload(session, "The uploaded file is incomplete");
+    }
+    filePath = assembled.filePath;
+
+    if (session.checksum && session.checksum !== assembled.checksum) {
+      return await failUpload(
+        session,
+        "Checksum mismatch: the assembled file is not the one that was sent"
+      );
+    }
+
+    const detected = await detectFileType(filePath);
+    if (
+      !detected ||
+      !UPLOAD_POLICIES.videoFile.allowedTypes.includes(detected.mimeType)
+    ) {
+      return await failUpload(session, "The file is not a supported video");
+    }
+    const videoPath = `${filePath}${detected.extension}`;
+    await fs.promises.rename(filePath, videoPath);
+    filePath = videoPath;
+
+    // uploadFile() removes the local files, whether the upload worked or not.
+    const videoFile = await uploadFile(videoPath);
+    const thumbnail = await uploadFile(session.thumbnailPath);
+    if (!videoFile?.url || !thumbnail?.url) {
+      await deleteFile(videoFile?.publicId, videoFile?.resourceType);
+      await deleteFile(thumbnail?.publicId, thumbnail?.resourceType);
+      return await failUpload(
+        session,
+        "Something went wrong while uploading the video to the storage"
+      );
+    }
+
+    let video;
+    try {
+      video = await Video.create({
+        title: session.title,
+        description: session.description,
+        videoFile: videoFile.url,
+        videoFilePublicId: videoFile.publicId,
+        thumbnail: thumbnail.url,
+        thumbnailPublicId: thumbnail.publicId,
+        duration: videoFile.duration ?? null,
+        owner: session.owner,
+      });
+    } catch (err) {
+      await deleteFile(videoFile.publicId, videoFile.resourceType);
+      await deleteFile(thumbnail.publicId, thumbnail.resourceType);
+      throw err;
+    }
+
+    await UploadSession.updateOne(
+      { _id: session._id },
+      { $set: { status: "completed", video: video._id } }
+    );
+    notifyNewVideo(video);
+  } catch (err) {
+    console.error("Error processing upload:", err);
+    await failUpload(
+      session,
+      "Something went wrong while processing the upload"
+    );
+  } finally {
+    // The chunks, the thumbnail and the assembled file are not needed anymore, whatever happened.
+    await removeUploadDir(session._id);
+    if (filePath) {
+      await fs.promises.rm(filePath, { force: true });
+    }
+  }
+};
+
+// Uploads have their own lane in the job queue: processing one can take minutes and must not delay the notifications.
+registerJobHandler("upload:process", processUpload, { lane: "uploads" });
+
+// The job queue lives in memory, so the uploads that were processing when the process stopped would stay stuck in
+// "processing" forever. Called by server.js on startup, it queues them again: their chunks are still on disk (the
+// folder is only deleted once the job is over), and an upload whose chunks are gone fails with "incomplete".
+const recoverUploads = async () => {
+  const sessions = await UploadSession.find({ status: "processing" }).select(
+    "_id"
+  );
+  for (const session of sessions) {
+    enqueueJob("upload:process", { uploadId: session._id });
+  }
+  return sessions.length;
+};
+
+module.exports = { recoverUploads };
@@ -0,0 +1,79 @@
+// First admin bootstrap.
+// Roles can only be changed by an admin (PATCH /api/v1/admin/users/:userId/role), so the very first admin has to be
+// made from the command line, by someone with access to the server and the database.
+//
+// Usage:
+//   npm run admin:promote -- <userName or email>
+//
+// The change is written to the audit log like any other role change. There is no admin to blame yet, so the user is
+// recorded as its own actor, with "cli" as the source.
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectDB = require("../db/dbConnection");
+const User = require("../models/user.model");
+const AuditLog = require("../models/auditLog.model");
+
+// Same value as ADMIN_ACTIONS.updateUserRole in admin.controller.js, so the entry shows up with the other role changes.
+const ROLE_CHANGE_ACTION = "user.role";
+
+const promoteAdmin = async (identifier) => {
+  const value = identifier?.trim().toLowerCase();
+  if (!value) {
+    throw new Error("Please provide the userName or the email of the user");
+  }
+
+  const user = await User.findOne({
+    $or: [{ userName: value }, { email: value }],
+  });
+  if (!user) {
+    throw new Error(`No user found for "${value}"`);
+  }
+
+  const previousRole = user.role;
+  if (previousRole === "admin") {
+    return { user, changed: false };
+  }
+
+  // Like performAdminAction in admin.controller.js: the entry is written first, so the role never changes untraced.
+  const entry = await AuditLog.create({
+    actor: user._id,
+    action: ROLE_CHANGE_ACTION,
+    targetType: "User",
+    targetId: user._id,
+    reason: "Promoted to admin from the command line (npm run admin:promote)",
+    details: { previousRole, role: "admin", source: "cli" },
+    status: "pending",
+  });
+
+  user.role = "admin";
+  await user.save({ validateBeforeSave: false });
+
+  await AuditLog.updateOne(
+    { _id: entry._id },
+    { $set: { status: "completed" } }
+  );
+
+  return { user, changed: true };
+};
+
+// Runs only when the file is executed directly (node src/jobs/promoteAdmin.js), not when it's required.
+if (require.main === module) {
+  const identifier = process.argv[2];
+
+  connectDB()
+    .then(() => promoteAdmin(identifier))
+    .then(({ user, changed }) => {
+      console.log(
+        changed
+          ? `${user.userName} is now an admin`
+          : `${user.userName} is already an admin`
+      );
+    })
+    .catch((err) => {
+      console.error("Admin promotion failed:", err.message || err);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
+
+module.exports = promoteAdmin;
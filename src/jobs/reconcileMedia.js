@@ -0,0 +1,148 @@
+// Media reconciliation job.
+// Finds the files that are no longer referenced by any User or Video ("orphans", e.g. left behind by a crash between
+// an upload and the database update) and the temp files multer left in public/temp, and deletes them.
+//
+// Usage:
+//   npm run media:reconcile              -> deletes orphans and stale temp files
+//   npm run media:reconcile -- --dry-run -> only prints what would be deleted
+//
+// Files younger than MEDIA_GRACE_PERIOD_HOURS (default 24) are never touched, so an upload that is still in progress
+// (file uploaded, document not saved yet) is not mistaken for an orphan.
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const connectDB = require("../db/dbConnection");
+const User = require("../models/user.model");
+const Video = require("../models/video.model");
+const { listFiles, deleteFile } = require("../utils/storage");
+
+const TEMP_DIR = path.resolve("public/temp");
+const HOUR = 60 * 60 * 1000;
+
+// Documents created before publicIds were stored only have a url. Every ending of the url path, with and without the
+// extension, is treated as a possible publicId so those files are never taken for orphans.
+// e.g. ".../upload/v1/folder/abc.png" -> "abc.png", "abc", "folder/abc.png", "folder/abc", ...
+const publicIdCandidatesFromUrl = (url) => {
+  let segments;
+  try {
+    segments = new URL(url, "http://localhost").pathname
+      .split("/")
+      .filter(Boolean)
+      .map(decodeURIComponent);
+  } catch {
+    return [];
+  }
+
+  const candidates = [];
+  for (let start = segments.length - 1; start >= 0; start--) {
+    const candidate = segments.slice(start).join("/");
+    candidates.push(candidate, candidate.replace(/\.[^/.]+$/, ""));
+  }
+  return candidates;
+};
+
+// Every publicId referenced by the database. Anything else in the storage is an orphan.
+const getReferencedPublicIds = async () => {
+  const [users, videos] = await Promise.all([
+    User.find(
+      {},
+      { avatar: 1, avatarPublicId: 1, coverImage: 1, coverImagePublicId: 1 }
+    ).lean(),
+    Video.find(
+      {},
+      { videoFile: 1, videoFilePublicId: 1, thumbnail: 1, thumbnailPublicId: 1 }
+    ).lean(),
+  ]);
+
+  const publicIds = [
+    ...users.flatMap((user) => [user.avatarPublicId, user.coverImagePublicId]),
+    ...videos.flatMap((video) => [
+      video.videoFilePublicId,
+      video.thumbnailPublicId,
+    ]),
+  ];
+
+  const urls = [
+    ...users.flatMap((user) => [user.avatar, user.coverImage]),
+    ...videos.flatMap((video) => [video.videoFile, video.thumbnail]),
+  ].filter(Boolean);
+
+  return new Set(
+    [...publicIds, ...urls.flatMap(publicIdCandidatesFromUrl)].filter(Boolean)
+  );
+};
+
+const removeOrphanedFiles = async ({ olderThan, dryRun }) => {
+  const referenced = await getReferencedPublicIds();
+  const removed = [];
+
+  for (const resourceType of ["image", "video"]) {
+    for await (const file of listFiles(resourceType)) {
+      if (referenced.has(file.publicId)) continue;
+      if (file.createdAt && file.createdAt > olderThan) continue;
+
+      if (dryRun || (await deleteFile(file.publicId, resourceType))) {
+        removed.push(file.publicId);
+      }
+    }
+  }
+
+  return removed;
+};
+
+// Temp files are normally deleted right after the upload; the ones still there belong to requests that crashed.
+const removeStaleTempFiles = async ({ olderThan, dryRun }) => {
+  const removed = [];
+  const entries = await fs.promises.readdir(TEMP_DIR, { withFileTypes: true });
+
+  for (const entry of entries) {
+    // .gitkeep keeps the (otherwise empty) folder in the repository.
+    if (!entry.isFile() || entry.name === ".gitkeep") continue;
+
+    const filePath = path.join(TEMP_DIR, entry.name);
+    const { mtime } = await fs.promises.stat(filePath);
+    if (mtime > olderThan) continue;
+
+    if (!dryRun) {
+      await fs.promises.unlink(filePath).catch((err) => {
+        if (err.code !== "ENOENT") throw err;
+      });
+    }
+    removed.push(entry.name);
+  }
+
+  return removed;
+};
+
+const reconcileMedia = async ({ dryRun = false } = {}) => {
+  const gracePeriodHours = Number(process.env.MEDIA_GRACE_PERIOD_HOURS) || 24;
+  const olderThan = new Date(Date.now() - gracePeriodHours * HOUR);
+
+  const orphanedFiles = await removeOrphanedFiles({ olderThan, dryRun });
+  const tempFiles = await removeStaleTempFiles({ olderThan, dryRun });
+
+  return { orphanedFiles, tempFiles };
+};
+
+// Runs only when the file is executed directly (node src/jobs/reconcileMedia.js), not when it's required.
+if (require.main === module) {
+  const dryRun = process.argv.includes("--dry-run");
+
+  connectDB()
+    .then(() => reconcileMedia({ dryRun }))
+    .then(({ orphanedFiles, tempFiles }) => {
+      const action = dryRun ? "Would delete" : "Deleted";
+      console.log(`${action} ${orphanedFiles.length} orphaned file(s)`);
+      orphanedFiles.forEach((publicId) => console.log(`  ${publicId}`));
+      console.log(`${action} ${tempFiles.length} stale temp file(s)`);
+      tempFiles.forEach((name) => console.log(`  ${name}`));
+    })
+    .catch((err) => {
+      console.error("Media reconciliation failed:", err);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
+
+module.exports = reconcileMedia;
@@ -0,0 +1,107 @@
+const Video = require("../models/video.model");
+const VideoViewBucket = require("../models/videoViewBucket.model");
+const Like = require("../models/like.model");
+
+// Computes the trending score of the videos and saves it in Video.trendingScore, which GET /api/v1/videos/trending sorts by.
+// It runs every TRENDING_REFRESH_MINUTES (default 10) instead of on every request, because it reads all the recent
+// views and likes.
+//
+// Only what happened in the last TRENDING_WINDOW_HOURS (default 72) counts:
+//   score = (recentViews + LIKE_WEIGHT * recentLikes) / (ageInHours + 2) ^ GRAVITY
+// A like weighs more than a view, and the score decreases as the video gets older (the same idea as Hacker News),
+// so a new video with a few hundred views can be above an old one that still gets some.
+
+const HOUR = 60 * 60 * 1000;
+const LIKE_WEIGHT = 5;
+const GRAVITY = 1.5;
+
+let refreshTimer = null;
+
+const computeTrendingScores = async () => {
+  const now = Date.now();
+  const windowStart = new Date(
+    now - (Number(process.env.TRENDING_WINDOW_HOURS) || 72) * HOUR
+  );
+
+  const [recentViews, recentLikes] = await Promise.all([
+    VideoViewBucket.aggregate([
+      { $match: { hour: { $gte: windowStart } } },
+      { $group: { _id: "$video", count: { $sum: "$count" } } },
+    ]),
+    Like.aggregate([
+      {
+        $match: { video: { $exists: true }, createdAt: { $gte: windowStart } },
+      },
+      { $group: { _id: "$video", count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const activity = new Map();
+  recentViews.forEach(({ _id, count }) => {
+    activity.set(_id.toString(), { views: count, likes: 0 });
+  });
+  recentLikes.forEach(({ _id, count }) => {
+    const entry = activity.get(_id.toString()) || { views: 0, likes: 0 };
+    entry.likes = count;
+    activity.set(_id.toString(), entry);
+  });
+
+  const videos = await Video.find({
+    _id: { $in: [...activity.keys()] },
+    isPublished: true,
+  })
+    .select("createdAt")
+    .lean();
+
+  const updatedAt = new Date();
+  const operations = videos.map((video) => {
+    const { views, likes } = activity.get(video._id.toString());
+    const ageInHours = (now - video.createdAt.getTime()) / HOUR;
+    const score =
+      (views + LIKE_WEIGHT * likes) / Math.pow(ageInHours + 2, GRAVITY);
+    return {
+      updateOne: {
+        filter: { _id: video._id },
+        update: {
+          $set: { trendingScore: score, trendingUpdatedAt: updatedAt },
+        },
+      },
+    };
+  });
+
+  if (operations.length) {
+    await Video.bulkWrite(operations, { ordered: false });
+  }
+  // The videos that had no activity in the window (or were unpublished) drop out of the trending list.
+  await Video.updateMany(
+    { trendingScore: { $gt: 0 }, trendingUpdatedAt: { $ne: updatedAt } },
+    { $set: { trendingScore: 0, trendingUpdatedAt: updatedAt } }
+  );
+
+  return operations.length;
+};
+
+const refreshSafely = () =>
+  computeTrendingScores().catch((err) =>
+    console.error("Error computing trending scores:", err)
+  );
+
+// Started by server.js once the database is connected. The scores are computed right away, then periodically.
+const startTrendingRefresh = () => {
+  if (refreshTimer) return;
+  const interval =
+    (Number(process.env.TRENDING_REFRESH_MINUTES) || 10) * 60 * 1000;
+  refreshSafely();
+  refreshTimer = setInterval(refreshSafely, interval);
+};
+
+const stopTrendingRefresh = () => {
+  clearInterval(refreshTimer);
+  refreshTimer = null;
+};
+
+module.exports = {
+  computeTrendingScores,
+  startTrendingRefresh,
+  stopTrendingRefresh,
+};
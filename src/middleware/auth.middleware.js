@@ -2,29 +2,189 @@ const jwt = require("jsonwebtoken");
 const asyncHandler = require("../utils/asyncHandler");
 const ApiError = require("../utils/ApiError");
 const User = require("../models/user.model");
+const Session = require("../models/session.model");
+const {
+  ACCESS_TOKEN_PREFIX,
+  findActiveAccessToken,
+} = require("../utils/accessTokens");
+
+// Verifies a JWT access token and returns its user. Throws an ApiError if the token can't be used.
+const authenticateWithJWT = async (token, req) => {
+  try {
+    const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+    const user = await User.findById(decodedToken?._id).select("-password");
+    if (!user) {
+      throw new ApiError(401, "Unauthorized request");
+    }
+
+    // Suspended and banned users are blocked even if their access token hasn't expired yet.
+    const restriction = user.getAccessRestriction();
+    if (restriction) {
+      throw new ApiError(403, restriction);
+    }
+
+    // The access token belongs to a session. If that session was logged out or revoked, the token is rejected
+    // right away instead of staying valid until it expires.
+    if (decodedToken.sid) {
+      const session = await Session.findById(decodedToken.sid);
+      if (!session?.isActive()) {
+        throw new ApiError(401, "Session has expired or was revoked");
+      }
+      req.sessionId = session._id;
+    }
+    // Long-lived requests (the notification stream) check it again later.
+    req.tokenExpiresAt = decodedToken.exp ? decodedToken.exp * 1000 : null;
+
+    return user;
+  } catch (err) {
+    // Errors thrown above keep their own status and message, anything else (e.g. a bad signature) is an invalid token.
+    if (err instanceof ApiError) {
+      throw err;
+    }
+    throw new ApiError(401, "Invalid access token");
+  }
+};
+
+// Verifies a personal access token ("pat_...") and returns its user. The token itself is saved in req.accessToken.
+const authenticateWithAccessToken = async (token, req) => {
+  const accessToken = await findActiveAccessToken(token, req);
+  if (!accessToken) {
+    throw new ApiError(401, "Invalid or expired personal access token");
+  }
+
+  const user = await User.findById(accessToken.user).select("-password");
+  if (!user) {
+    throw new ApiError(401, "Unauthorized request");
+  }
+  const restriction = user.getAccessRestriction();
+  if (restriction) {
+    throw new ApiError(403, restriction);
+  }
+  // The tokens are revoked when the password changes. This also covers a token that was missed by the revocation.
+  if (
+    user.passwordChangedAt &&
+    accessToken.createdAt < user.passwordChangedAt
+  ) {
+    throw new ApiError(401, "Invalid or expired personal access token");
+  }
+
+  req.accessToken = accessToken;
+  return user;
+};
+
+// Reads the token of the request. A personal access token is only accepted in the Authorization header.
+const getRequestToken = (req) => {
+  const bearerToken = req.header("Authorization")?.replace("Bearer ", "");
+  if (bearerToken?.startsWith(ACCESS_TOKEN_PREFIX)) {
+    return bearerToken;
+  }
+  // Otherwise, first tries to read the token from the cookies.accessToken.
+  // If not found, uses the Authorization: Bearer <token> header (common in API tools or mobile apps).
+  return req.cookies?.accessToken || bearerToken;
+};
 
 // Note: Whenever we write a middleware we have to use "next" keyword to pass the control to the next middleware once the current middleware is executed. Middlewares are mostly used at the time of routing.
 // "next" passes control to the next middleware/handler once token is verified.
+// Only accepts a logged-in user (JWT). Used by the routes a personal access token must never reach
+// (password, sessions, tokens, admin area...).
 exports.verifyJWTToken = asyncHandler(async (req, res, next) => {
-  // First tries to read the token from the cookies.accessToken.
-  // If not found, looks for Authorization: Bearer <token> header (common in API tools or mobile apps).
-  const token =
-    req.cookies?.accessToken ||
-    req.header("Authorization")?.replace("Bearer ", "");
+  const token = getRequestToken(req);
   if (!token) {
     throw new ApiError(401, "Unauthorized request");
   }
-  try {
-    const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
-    const user = await User.findById(decodedToken?._id).select(
-      "-password -refreshToken"
+  if (token.startsWith(ACCESS_TOKEN_PREFIX)) {
+    throw new ApiError(
+      403,
+      "Personal access tokens can't be used on this route"
     );
-    if (!user) {
+  }
+
+  req.user = await authenticateWithJWT(token, req);
+  next();
+});
+
+// For routes that also work without an account (e.g. recording a view). Sets req.user when the request carries a valid
+// JWT, and lets the request through as anonymous otherwise, even if the token is invalid or expired.
+exports.optionalJWTToken = async (req, res, next) => {
+  const token = getRequestToken(req);
+  if (token && !token.startsWith(ACCESS_TOKEN_PREFIX)) {
+    try {
+      req.user = await authenticateWithJWT(token, req);
+    } catch (err) {
+      req.user = undefined;
+    }
+  }
+  next();
+};
+
+// Accepts a logged-in user (JWT) or a personal access token that has the required scope. A logged-in user can do everything.
+// "scopes" is either one scope for every method, or { read, write }: "read" is required for GET and HEAD requests,
+// "write" for the others. This way a whole router can be opened to tokens at once:
+//   router.use(verifyJWTOrAccessToken({ read: "videos:read", write: "videos:write" }));
+//   router.post("/get-current-user", verifyJWTOrAccessToken("profile:read"), getCurrentUser);
+exports.verifyJWTOrAccessToken = (scopes) => {
+  const getRequiredScope = (req) => {
+    if (typeof scopes === "string") return scopes;
+    return ["GET", "HEAD"].includes(req.method) ? scopes.read : scopes.write;
+  };
+
+  return asyncHandler(async (req, res, next) => {
+    const token = getRequestToken(req);
+    if (!token) {
       throw new ApiError(401, "Unauthorized request");
     }
-    req.user = user;
+
+    if (!token.startsWith(ACCESS_TOKEN_PREFIX)) {
+      req.user = await authenticateWithJWT(token, req);
+      return next();
+    }
+
+    req.user = await authenticateWithAccessToken(token, req);
+
+    const requiredScope = getRequiredScope(req);
+    if (!requiredScope || !req.accessToken.scopes.includes(requiredScope)) {
+      throw new ApiError(
+        403,
+        requiredScope
+          ? `This token is missing the "${requiredScope}" scope`
+          : "Personal access tokens can't be used on this route"
+      );
+    }
     next();
-  } catch (err) {
-    throw new ApiError(401, "Invalid access token");
+  });
+};
+
+// Must be used after verifyJWTToken or verifyJWTOrAccessToken. Users who haven't verified their email address can still
+// read and manage their account (and ask for a new verification link), but can't create or change anything else:
+//   router.use(verifyJWTOrAccessToken({ read: "videos:read", write: "videos:write" }), requireVerifiedEmail);
+// GET and HEAD requests are always let through, so a whole router can be covered at once.
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (["GET", "HEAD"].includes(req.method)) {
+    return next();
   }
-});
+  if (!req.user) {
+    return next(new ApiError(401, "Unauthorized request"));
+  }
+  if (!req.user.isEmailVerified) {
+    return next(
+      new ApiError(403, "Please verify your email address to continue")
+    );
+  }
+  next();
+};
+
+// Must be used after verifyJWTToken. Only lets through the users whose role is one of "roles":
+//   router.use(verifyJWTToken, authorize("moderator", "admin"));
+exports.authorize = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(new ApiError(401, "Unauthorized request"));
+    }
+    if (!roles.includes(req.user.role)) {
+      return next(
+        new ApiError(403, "You are not allowed to perform this action")
+      );
+    }
+    next();
+  };
+};
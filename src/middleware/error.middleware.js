@@ -0,0 +1,117 @@
+const mongoose = require("mongoose");
+const jwt = require("jsonwebtoken");
+const multer = require("multer");
+const ApiError = require("../utils/ApiError");
+const { removeUploadedFiles } = require("./uploadFile.middleware");
+
+// Converts the errors thrown by libraries (mongoose, jsonwebtoken, multer, express body parsers) into an ApiError with a proper 4xx status.
+// Anything we don't recognise becomes a 500.
+const normalizeError = (err) => {
+  if (err instanceof ApiError) {
+    return err;
+  }
+
+  // Schema validation failed, e.g. a required field is missing. Every invalid field is listed in "errors".
+  if (err instanceof mongoose.Error.ValidationError) {
+    const errors = Object.values(err.errors).map((fieldError) => ({
+      field: fieldError.path,
+      message: fieldError.message,
+    }));
+    return new ApiError(400, "Validation failed", errors, err.stack);
+  }
+
+  // A value couldn't be converted to the schema type, e.g. "abc" used as an ObjectId.
+  if (err instanceof mongoose.Error.CastError) {
+    return new ApiError(
+      400,
+      `Invalid value for ${err.path}`,
+      [{ field: err.path, message: `Invalid ${err.kind}` }],
+      err.stack
+    );
+  }
+
+  // 11000 is MongoDB's duplicate key error (a unique index was violated). "keyValue" holds the duplicated fields.
+  if (err?.code === 11000) {
+    const fields = Object.keys(err.keyValue || {});
+    return new ApiError(
+      409,
+      fields.length ? `${fields.join(", ")} already exists` : "Duplicate value",
+      fields.map((field) => ({ field, message: `${field} already exists` })),
+      err.stack
+    );
+  }
+
+  // TokenExpiredError and NotBeforeError both extend JsonWebTokenError.
+  if (err instanceof jwt.TokenExpiredError) {
+    return new ApiError(401, "Token has expired", [], err.stack);
+  }
+  if (err instanceof jwt.JsonWebTokenError) {
+    return new ApiError(401, "Invalid token", [], err.stack);
+  }
+
+  if (err instanceof multer.MulterError) {
+    const statusCode = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+    return new ApiError(
+      statusCode,
+      err.message,
+      err.field ? [{ field: err.field, message: err.message }] : [],
+      err.stack
+    );
+  }
+
+  // express.json() / express.urlencoded() errors carry their own 4xx status (invalid JSON, body too large, ...).
+  const status = err?.statusCode || err?.status;
+  if (Number.isInteger(status) && status >= 400 && status < 500) {
+    return new ApiError(status, err.message, [], err.stack);
+  }
+
+  return new ApiError(500, "Internal server error", [], err?.stack);
+};
+
+// Catches every request that didn't match a route and turns it into a JSON 404.
+// It must be registered after all the routes.
+const notFoundHandler = (req, res, next) => {
+  next(new ApiError(404, `Route not found: ${req.method} ${req.originalUrl}`));
+};
+
+// Final error handler. Express recognises an error middleware by its 4 arguments, so "next" must stay even if unused.
+// asyncHandler forwards every error thrown in a controller to this function.
+const errorHandler = async (err, req, res, next) => {
+  // The response has already started (a stream like SSE, a download...), so a JSON error can't be sent anymore.
+  // Express' default handler closes the connection instead.
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const error = normalizeError(err);
+
+  // If the request failed after multer saved its files (e.g. validation failed), the temp files are not needed anymore.
+  await removeUploadedFiles(req);
+
+  // Unexpected errors are logged so they can be debugged, expected (4xx) ones are not.
+  if (error.statusCode >= 500) {
+    console.error(err);
+  }
+
+  const response = {
+    statusCode: error.statusCode,
+    message: error.message,
+    errors: error.errors,
+    data: null,
+    success: false,
+  };
+
+  // Stack traces can reveal file paths and code, so they are only sent outside production.
+  if (process.env.NODE_ENV !== "production") {
+    response.stack = error.stack;
+  }
+
+  // Tells the client how many seconds to wait before retrying (429 responses).
+  if (error.retryAfter) {
+    res.set("Retry-After", String(error.retryAfter));
+  }
+
+  return res.status(error.statusCode).json(response);
+};
+
+module.exports = { notFoundHandler, errorHandler };
@@ -0,0 +1,114 @@
+const ApiError = require("../utils/ApiError");
+const { getRateLimitStore } = require("../utils/rateLimitStore");
+
+// Rate limiting middleware. Every route that needs a limit creates its own limiter:
+//
+//   router.post("/login", rateLimit({ name: "login", windowMs: 15 * MINUTE, max: 10 }), loginUser);
+//
+// Options:
+//   name        prefix of the counters, must be unique per limiter so routes don't share their counts
+//   windowMs    length of the window in milliseconds
+//   max         number of requests allowed per window
+//   algorithm   "fixed" (default) or "sliding" (see below)
+//   keyBy       "ip" (default), "user" (the logged-in user's id, the IP for anonymous requests) or (req) => string
+//   message     error message of the 429 response
+//
+// Algorithms:
+//   fixed   -> one counter per window (e.g. 10:00 to 10:15). Cheap, but a client can send "max" requests at the end of a
+//              window and "max" more at the start of the next one.
+//   sliding -> estimates the number of requests in the last windowMs from the counters of the current and the previous
+//              window: previous * (part of the previous window still inside the last windowMs) + current.
+//              This smooths out the burst at the window boundary.
+//
+// Every response gets the RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset (seconds until the window resets) and
+// RateLimit-Policy headers. A rejected request gets a 429 ApiError and the Retry-After header (set by the error handler).
+
+const SECOND = 1000;
+
+const KEY_GENERATORS = {
+  ip: (req) => req.ip || "unknown",
+  user: (req) => (req.user?._id ? `user:${req.user._id}` : req.ip || "unknown"),
+};
+
+const getKeyGenerator = (keyBy) => {
+  if (typeof keyBy === "function") return keyBy;
+  if (!KEY_GENERATORS[keyBy]) {
+    throw new Error(`Unknown rate limit keyBy: ${keyBy}`);
+  }
+  return KEY_GENERATORS[keyBy];
+};
+
+// Each algorithm returns the number of requests counted for the client (including this one) and when the window resets.
+const ALGORITHMS = {
+  fixed: async (store, key, windowMs, now) => {
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    const count = await store.increment(`${key}:${windowStart}`, windowMs);
+    return { count, resetAt: windowStart + windowMs };
+  },
+  sliding: async (store, key, windowMs, now) => {
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    // The current counter is kept for two windows, because it's the previous one during the next window.
+    const [current, previous] = await Promise.all([
+      store.increment(`${key}:${windowStart}`, 2 * windowMs),
+      store.get(`${key}:${windowStart - windowMs}`),
+    ]);
+    const previousWeight = 1 - (now - windowStart) / windowMs;
+    return {
+      count: Math.floor(previous * previousWeight) + current,
+      resetAt: windowStart + windowMs,
+    };
+  },
+};
+
+const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  algorithm = "fixed",
+  keyBy = "ip",
+  message = "Too many requests, please try again later",
+}) => {
+  if (!name || !windowMs || !max) {
+    throw new Error("rateLimit() needs a name, a windowMs and a max");
+  }
+  if (!ALGORITHMS[algorithm]) {
+    throw new Error(`Unknown rate limit algorithm: ${algorithm}`);
+  }
+
+  const getKey = getKeyGenerator(keyBy);
+  const countRequest = ALGORITHMS[algorithm];
+  const policy = `${max};w=${Math.ceil(windowMs / SECOND)}`;
+
+  return async (req, res, next) => {
+    try {
+      const now = Date.now();
+      const key = `ratelimit:${name}:${getKey(req)}`;
+      const { count, resetAt } = await countRequest(
+        getRateLimitStore(),
+        key,
+        windowMs,
+        now
+      );
+      const resetIn = Math.max(Math.ceil((resetAt - now) / SECOND), 1);
+
+      res.set({
+        "RateLimit-Policy": policy,
+        "RateLimit-Limit": String(max),
+        "RateLimit-Remaining": String(Math.max(max - count, 0)),
+        "RateLimit-Reset": String(resetIn),
+      });
+
+      if (count > max) {
+        const error = new ApiError(429, message);
+        error.retryAfter = resetIn;
+        return next(error);
+      }
+
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+};
+
+module.exports = { rateLimit };
@@ -1,15 +1,194 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
 const multer = require("multer");
+const ApiError = require("../utils/ApiError");
+const { detectFileType } = require("../utils/fileSignature");
 
+const TEMP_DIR = "./public/temp";
+const MB = 1024 * 1024;
+
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp", "image/gif"];
+const VIDEO_TYPES = [
+  "video/mp4",
+  "video/webm",
+  "video/quicktime",
+  "video/x-matroska",
+];
+
+// Upload policy of every file field the API accepts: which types are allowed and how big the file can be.
+// A field that isn't listed here is rejected.
+const imagePolicy = {
+  allowedTypes: IMAGE_TYPES,
+  maxSize: (Number(process.env.MAX_IMAGE_SIZE_MB) || 5) * MB,
+};
+
+const UPLOAD_POLICIES = {
+  avatar: imagePolicy,
+  coverImage: imagePolicy,
+  thumbnail: imagePolicy,
+  videoFile: {
+    allowedTypes: VIDEO_TYPES,
+    maxSize: (Number(process.env.MAX_VIDEO_SIZE_MB) || 500) * MB,
+  },
+};
+
+// The name sent by the client is never used on disk (it could be "../../server.js").
+// Files get a random name, and the right extension is added once the real type is known.
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
-    cb(null, "./public/temp");
+    cb(null, TEMP_DIR);
   },
   filename: function (req, file, cb) {
-    cb(null, Date.now() + "-" + file.originalname);
+    cb(null, crypto.randomUUID());
   },
 });
 
-const upload = multer({
-  storage: storage,
-});
-module.exports = { upload };
+// First, cheap check done by multer before the file is written: the MIME type declared by the client must be allowed.
+// It can be faked, so the content is checked again afterwards.
+const fileFilter = (req, file, cb) => {
+  const policy = UPLOAD_POLICIES[file.fieldname];
+  if (!policy) {
+    return cb(new ApiError(400, `Unexpected file field: ${file.fieldname}`));
+  }
+  if (!policy.allowedTypes.includes(file.mimetype)) {
+    return cb(
+      new ApiError(
+        415,
+        `${file.fieldname} must be one of: ${policy.allowedTypes.join(", ")}`
+      )
+    );
+  }
+  cb(null, true);
+};
+
+// Returns every file multer saved for this request, whether upload.single() (req.file) or upload.fields() (req.files) was used.
+const getUploadedFiles = (req) => {
+  if (req.file) return [req.file];
+  if (req.files) return Object.values(req.files).flat();
+  return [];
+};
+
+// Deletes the temp files of the request. Used when the upload is rejected and by the error handler,
+// so no file is left behind in public/temp when a request fails.
+const removeUploadedFiles = async (req) => {
+  await Promise.all(
+    getUploadedFiles(req).map((file) =>
+      fs.promises.unlink(file.path).catch((err) => {
+        if (err.code !== "ENOENT") {
+          console.error("Error deleting temp file:", err);
+        }
+      })
+    )
+  );
+};
+
+// Turns multer's own errors into ApiErrors with a clear message.
+const toApiError = (err, maxSize) => {
+  if (err instanceof ApiError) return err;
+  if (err instanceof multer.MulterError) {
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return new ApiError(
+        413,
+        `${err.field} is too large, the maximum size is ${Math.floor(maxSize / MB)} MB`
+      );
+    }
+    if (err.code === "LIMIT_UNEXPECTED_FILE") {
+      return new ApiError(400, `Unexpected file field: ${err.field}`);
+    }
+    return new ApiError(400, err.message);
+  }
+  return err;
+};
+
+// Second check, done once the files are on disk:
+// 1. The size must be within the limit of the field (multer only knows the biggest limit of the request).
+// 2. The real type, read from the magic bytes, must be allowed for the field.
+// 3. The file is renamed with the extension of its real type and its mimetype is corrected.
+const verifyUploadedFile = async (file) => {
+  const policy = UPLOAD_POLICIES[file.fieldname];
+
+  if (file.size > policy.maxSize) {
+    throw new ApiError(
+      413,
+      `${file.fieldname} is too large, the maximum size is ${Math.floor(policy.maxSize / MB)} MB`
+    );
+  }
+
+  const detected = await detectFileType(file.path);
+  if (!detected || !policy.allowedTypes.includes(detected.mimeType)) {
+    throw new ApiError(
+      415,
+      `${file.fieldname} content is not a valid ${policy.allowedTypes.join(", ")} file`
+    );
+  }
+
+  const newPath = `${file.path}${detected.extension}`;
+  await fs.promises.rename(file.path, newPath);
+  file.path = newPath;
+  file.filename = path.basename(newPath);
+  file.mimetype = detected.mimeType;
+};
+
+// Wraps a multer middleware so that every uploaded file is verified, and every temp file is removed if anything is rejected.
+const withVerification = (multerMiddleware, maxSize) => {
+  return (req, res, next) => {
+    multerMiddleware(req, res, async (err) => {
+      if (err) {
+        await removeUploadedFiles(req);
+        return next(toApiError(err, maxSize));
+      }
+      // allSettled, not all: the temp files are only removed once every check is over. Otherwise a file that is still
+      // being renamed would be missed by the cleanup and stay in public/temp, which is served by express.static.
+      const results = await Promise.allSettled(
+        getUploadedFiles(req).map(verifyUploadedFile)
+      );
+      const rejected = results.find((result) => result.status === "rejected");
+      if (rejected) {
+        await removeUploadedFiles(req);
+        return next(rejected.reason);
+      }
+      next();
+    });
+  };
+};
+
+// Creates the multer instance for a set of fields. Its size limit is the biggest one of those fields,
+// so a 2 GB avatar is stopped while it is being received instead of after it has been written to disk.
+const createMulter = (fieldNames, maxFiles) => {
+  fieldNames.forEach((fieldName) => {
+    if (!UPLOAD_POLICIES[fieldName]) {
+      throw new Error(`No upload policy defined for field "${fieldName}"`);
+    }
+  });
+
+  const maxSize = Math.max(
+    ...fieldNames.map((fieldName) => UPLOAD_POLICIES[fieldName].maxSize)
+  );
+
+  return {
+    maxSize,
+    instance: multer({
+      storage: storage,
+      fileFilter: fileFilter,
+      limits: { fileSize: maxSize, files: maxFiles },
+    }),
+  };
+};
+
+// Same API as a multer instance (upload.single("avatar"), upload.fields([...])), with the hardening above applied.
+const upload = {
+  single: (fieldName) => {
+    const { instance, maxSize } = createMulter([fieldName], 1);
+    return withVerification(instance.single(fieldName), maxSize);
+  },
+  fields: (fields) => {
+    const { instance, maxSize } = createMulter(
+      fields.map((field) => field.name),
+      fields.reduce((total, field) => total + (field.maxCount || 1), 0)
+    );
+    return withVerification(instance.fields(fields), maxSize);
+  },
+};
+
+module.exports = { upload, removeUploadedFiles, UPLOAD_POLICIES };
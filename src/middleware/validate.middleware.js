@@ -0,0 +1,205 @@
+const mongoose = require("mongoose");
+const ApiError = require("../utils/ApiError");
+
+// Declarative request validation.
+// A route passes a schema describing what it expects in req.body, req.params and req.query:
+//
+//   router.post("/login", validate({ body: { userName: { type: "string", required: true } } }), loginUser);
+//
+// Every field rule can use:
+//   type       "string" | "email" | "number" | "integer" | "boolean" | "objectId" | "array"
+//   required   the field must be present and not empty
+//   default    value used when the field is missing
+//   trim, lowercase                    sanitizers for strings (trim is on by default)
+//   minLength, maxLength, pattern      string checks ("message" overrides the pattern error)
+//   min, max                           number checks
+//   enum                               list of allowed values
+//   items                              rule applied to each element of an array
+//   custom     (value, data) => error message or undefined, for checks that don't fit above
+//
+// Values are coerced to their type (multipart forms and query strings only send strings), sanitized, and only the declared
+// fields are kept. If anything is wrong, a single 400 ApiError is thrown with one entry per problem in "errors".
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+const isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === "string" && value.trim() === "");
+
+// Converts a raw value to the rule's type. Returns { value } on success or { error } with a message.
+const coerce = (value, rule) => {
+  switch (rule.type) {
+    case "string":
+    case "email": {
+      // Objects and arrays are rejected so that things like { "$gt": "" } can't reach a mongo query.
+      if (typeof value !== "string" && typeof value !== "number") {
+        return { error: "must be a string" };
+      }
+      let text = String(value);
+      if (rule.trim !== false) text = text.trim();
+      if (rule.lowercase || rule.type === "email") text = text.toLowerCase();
+      if (rule.type === "email" && !EMAIL_REGEX.test(text)) {
+        return { error: "must be a valid email address" };
+      }
+      return { value: text };
+    }
+    case "number":
+    case "integer": {
+      const number = typeof value === "string" ? Number(value.trim()) : value;
+      if (typeof number !== "number" || !Number.isFinite(number)) {
+        return { error: "must be a number" };
+      }
+      if (rule.type === "integer" && !Number.isInteger(number)) {
+        return { error: "must be an integer" };
+      }
+      return { value: number };
+    }
+    case "boolean": {
+      if (typeof value === "boolean") return { value };
+      if (value === "true") return { value: true };
+      if (value === "false") return { value: false };
+      return { error: "must be a boolean" };
+    }
+    case "objectId": {
+      if (typeof value !== "string" || !mongoose.isValidObjectId(value)) {
+        return { error: "must be a valid id" };
+      }
+      return { value };
+    }
+    case "array": {
+      if (!Array.isArray(value)) {
+        return { error: "must be an array" };
+      }
+      return { value };
+    }
+    default:
+      return { value };
+  }
+};
+
+// Runs the non-type checks (length, range, pattern, enum) on an already coerced value.
+const check = (value, rule) => {
+  if (typeof value === "string") {
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      return `must be at least ${rule.minLength} characters long`;
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return `must be at most ${rule.maxLength} characters long`;
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      return rule.message || "has an invalid format";
+    }
+  }
+  if (typeof value === "number") {
+    if (rule.min !== undefined && value < rule.min) {
+      return `must be greater than or equal to ${rule.min}`;
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      return `must be less than or equal to ${rule.max}`;
+    }
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `must be one of: ${rule.enum.join(", ")}`;
+  }
+  return undefined;
+};
+
+// Validates one part of the request (body, params or query) against its schema.
+// Returns the sanitized data and pushes every problem found into "errors".
+const validateSection = (location, schema, source, errors) => {
+  const data = {};
+  const input = source || {};
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const raw = input[field];
+
+    if (isEmpty(raw)) {
+      if (rule.required) {
+        errors.push({ location, field, message: `${field} is required` });
+      } else if (rule.default !== undefined) {
+        data[field] = rule.default;
+      }
+      continue;
+    }
+
+    const { value, error } = coerce(raw, rule);
+    if (error) {
+      errors.push({ location, field, message: `${field} ${error}` });
+      continue;
+    }
+
+    if (rule.type === "array" && rule.items) {
+      const items = [];
+      value.forEach((item, index) => {
+        const coerced = coerce(item, rule.items);
+        const itemError = coerced.error || check(coerced.value, rule.items);
+        if (itemError) {
+          errors.push({
+            location,
+            field: `${field}[${index}]`,
+            message: `${field}[${index}] ${itemError}`,
+          });
+        } else {
+          items.push(coerced.value);
+        }
+      });
+      data[field] = items;
+    } else {
+      const checkError = check(value, rule);
+      if (checkError) {
+        errors.push({ location, field, message: `${field} ${checkError}` });
+        continue;
+      }
+      data[field] = value;
+    }
+  }
+
+  // Custom checks run last so they can compare fields with each other (e.g. newPassword !== oldPassword).
+  for (const [field, rule] of Object.entries(schema)) {
+    if (!rule.custom || data[field] === undefined) continue;
+    const customError = rule.custom(data[field], data);
+    if (customError) {
+      errors.push({ location, field, message: customError });
+    }
+  }
+
+  return data;
+};
+
+// Returns the middleware for a route. "schema" can have body, params and query keys, each one optional.
+const validate = (schema) => (req, res, next) => {
+  const errors = [];
+  const validated = {};
+
+  for (const location of ["body", "params", "query"]) {
+    if (schema[location]) {
+      validated[location] = validateSection(
+        location,
+        schema[location],
+        req[location],
+        errors
+      );
+    }
+  }
+
+  if (errors.length) {
+    return next(new ApiError(400, "Validation failed", errors));
+  }
+
+  if (validated.body) req.body = validated.body;
+  if (validated.params) req.params = validated.params;
+  // In Express 5 req.query is a getter, so it has to be redefined instead of assigned.
+  if (validated.query) {
+    Object.defineProperty(req, "query", {
+      value: validated.query,
+      writable: true,
+      configurable: true,
+      enumerable: true,
+    });
+  }
+
+  next();
+};
+
+module.exports = { validate };
@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+const mongooseAggregatePaginate = require("mongoose-aggregate-paginate-v2");
+
+// One document per action taken in the admin area: who did what, to which user or video, and why.
+// Audit logs are never deleted by the API, and only their status is updated once the action is over.
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // e.g. "user.suspend", "user.ban", "video.unpublish" (see ADMIN_ACTIONS in admin.controller.js).
+    action: {
+      type: String,
+      required: true,
+    },
+    targetType: {
+      type: String,
+      enum: ["User", "Video"],
+      required: true,
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    reason: {
+      type: String,
+      required: true,
+    },
+    // Extra information about the action, e.g. the previous and the new role.
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    // The entry is written before the action is run (see performAdminAction in admin.controller.js): "pending" until
+    // the action is over, then "completed", or "failed" with the error. Entries older than this field are "completed".
+    status: {
+      type: String,
+      enum: ["pending", "completed", "failed"],
+      default: "completed",
+    },
+    error: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+
+auditLogSchema.plugin(mongooseAggregatePaginate);
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+const mongooseAggregatePaginate = require("mongoose-aggregate-paginate-v2");
+
+const commentSchema = new mongoose.Schema(
+  {
+    content: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    video: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Video",
+      required: true,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId, // user who wrote the comment.
+      ref: "User",
+      required: true,
+    },
+    parentComment: {
+      type: mongoose.Schema.Types.ObjectId, // null for top-level comments, id of the top-level comment for replies.
+      ref: "Comment",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Listing always filters by video and parentComment, so both are indexed together.
+commentSchema.index({ video: 1, parentComment: 1, createdAt: -1 });
+
+commentSchema.plugin(mongooseAggregatePaginate);
+
+module.exports = mongoose.model("Comment", commentSchema);
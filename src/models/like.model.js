@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+const mongooseAggregatePaginate = require("mongoose-aggregate-paginate-v2");
+
+// A like points to exactly one target: a video, a comment or a tweet (community post).
+// Only the field of the liked target is set, the other two stay empty.
+const likeSchema = new mongoose.Schema(
+  {
+    video: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Video",
+    },
+    comment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+    },
+    tweet: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tweet",
+    },
+    likedBy: {
+      type: mongoose.Schema.Types.ObjectId, // user who liked the target.
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// A user can like a target only once. Each index only covers the documents that have that target set (partialFilterExpression),
+// otherwise all the likes without a video (comment and tweet likes) would collide with each other.
+["video", "comment", "tweet"].forEach((target) => {
+  likeSchema.index(
+    { [target]: 1, likedBy: 1 },
+    { unique: true, partialFilterExpression: { [target]: { $exists: true } } }
+  );
+});
+
+likeSchema.plugin(mongooseAggregatePaginate);
+
+module.exports = mongoose.model("Like", likeSchema);
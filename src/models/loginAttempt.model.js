@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+const mongooseAggregatePaginate = require("mongoose-aggregate-paginate-v2");
+
+// One document per password check (login or change-password), successful or not.
+// Used to slow down and lock out brute-force attacks (see utils/loginThrottle.js) and to show users the failed
+// attempts on their account.
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    // The account the attempt targeted, when it exists.
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // What the attempts of one account are counted by: the user id when the account exists, the identifier typed by the
+    // client otherwise. Unknown identifiers get locked out exactly like real accounts, so the lockout doesn't reveal
+    // which accounts exist.
+    accountKey: {
+      type: String,
+      required: true,
+    },
+    // The userName or email that was typed.
+    identifier: {
+      type: String,
+      default: "",
+    },
+    type: {
+      type: String,
+      enum: ["login", "change-password"],
+      default: "login",
+    },
+    success: {
+      type: Boolean,
+      required: true,
+    },
+    // true between the moment the attempt is claimed and the end of the password check. A pending attempt counts as a
+    // failure for the throttling (see utils/loginThrottle.js), but isn't shown to the user yet.
+    pending: {
+      type: Boolean,
+      default: false,
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+  },
+  { timestamps: true }
+);
+
+loginAttemptSchema.index({ accountKey: 1, createdAt: -1 });
+loginAttemptSchema.index({ ip: 1, createdAt: -1 });
+loginAttemptSchema.index({ user: 1, success: 1, createdAt: -1 });
+// The history is only kept for LOGIN_ATTEMPT_RETENTION_DAYS (default 30), MongoDB deletes older attempts (TTL index).
+loginAttemptSchema.index(
+  { createdAt: 1 },
+  {
+    expireAfterSeconds:
+      (Number(process.env.LOGIN_ATTEMPT_RETENTION_DAYS) || 30) * 24 * 60 * 60,
+  }
+);
+
+loginAttemptSchema.plugin(mongooseAggregatePaginate);
+
+module.exports = mongoose.model("LoginAttempt", loginAttemptSchema);
@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+const mongooseAggregatePaginate = require("mongoose-aggregate-paginate-v2");
+
+// A notification shown to one user (the recipient). They are created in the background by utils/notifications.js.
+// Types:
+// "new-video"      -> a channel the recipient is subscribed to published a video (actor = channel, video)
+// "comment-reply"  -> someone replied to the recipient's comment (actor = author of the reply, video, comment = the reply)
+// "video-like"     -> someone liked the recipient's video (actor, video)
+// "new-subscriber" -> someone subscribed to the recipient's channel (actor)
+const notificationSchema = new mongoose.Schema(
+  {
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["new-video", "comment-reply", "video-like", "new-subscriber"],
+      required: true,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    video: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Video",
+    },
+    comment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+    },
+    // null until the recipient marks the notification as read.
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1 });
+// Used to avoid notifying twice for the same like or subscription (e.g. like, unlike, like again).
+notificationSchema.index({ recipient: 1, type: 1, actor: 1, video: 1 });
+// Notifications are kept NOTIFICATION_RETENTION_DAYS (default 90), MongoDB deletes older ones (TTL index).
+notificationSchema.index(
+  { createdAt: 1 },
+  {
+    expireAfterSeconds:
+      (Number(process.env.NOTIFICATION_RETENTION_DAYS) || 90) * 24 * 60 * 60,
+  }
+);
+
+notificationSchema.plugin(mongooseAggregatePaginate);
+
+module.exports = mongoose.model("Notification", notificationSchema);
@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+
+// Personal access tokens let scripts and integrations (cron jobs, internal tools) call the API without a login.
+// A token belongs to a user, can only do what its scopes allow (see utils/accessTokens.js) and can be revoked at any time.
+// Every token of the user is revoked when their password is reset or changed.
+const personalAccessTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // Chosen by the user to recognise the token, e.g. "nightly stats export".
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // SHA-256 hash of the token. The token itself is only shown once, when it's created.
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // The first characters of the token ("pat_1a2b3c4d"), so the user can tell the tokens apart in the list.
+    tokenPrefix: {
+      type: String,
+      required: true,
+    },
+    scopes: {
+      type: [String],
+      default: [],
+    },
+    // null means the token never expires.
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+      default: "",
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+personalAccessTokenSchema.methods.isActive = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+module.exports = mongoose.model(
+  "PersonalAccessToken",
+  personalAccessTokenSchema
+);
@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+const mongooseAggregatePaginate = require("mongoose-aggregate-paginate-v2");
+
+const playlistSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    // The order of this array is the order in which the videos are played.
+    videos: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Video",
+      },
+    ],
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Public playlists are shown on the owner's channel page, private ones only to the owner.
+    visibility: {
+      type: String,
+      enum: ["public", "private"],
+      default: "public",
+    },
+  },
+  { timestamps: true }
+);
+
+// Text index used by the search endpoint. A match in the name counts more than one in the description.
+playlistSchema.index(
+  { name: "text", description: "text" },
+  { weights: { name: 5, description: 1 }, name: "playlist_text_search" }
+);
+
+playlistSchema.plugin(mongooseAggregatePaginate);
+
+module.exports = mongoose.model("Playlist", playlistSchema);
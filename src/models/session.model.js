@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+// A session is created every time a user logs in on a device, and lasts until it expires or is revoked.
+// Its refresh token is rotated on every refresh: the session only stores the hash of the latest one.
+// All the refresh tokens issued for one session form a "token family". If an older token of the family is used again,
+// it has been stolen (or replayed), so the whole family (the session) is revoked.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // SHA-256 hash of the current refresh token. The token itself is never stored, so a database leak doesn't leak sessions.
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    // Why the session was revoked: "logout", "logout-all", "revoked", "token-reuse", ...
+    revokedReason: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+// MongoDB deletes the session documents automatically once they have expired (TTL index).
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
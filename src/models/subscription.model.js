@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const mongooseAggregatePaginate = require("mongoose-aggregate-paginate-v2");
 
 const subscriptionSchema = new mongoose.Schema(
   {
@@ -14,4 +15,9 @@ const subscriptionSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// A user can subscribe to a channel only once. The unique compound index makes the database reject duplicates even if two requests race each other.
+subscriptionSchema.index({ subscriber: 1, channel: 1 }, { unique: true });
+
+subscriptionSchema.plugin(mongooseAggregatePaginate);
+
 module.exports = mongoose.model("Subscription", subscriptionSchema);
@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+const mongooseAggregatePaginate = require("mongoose-aggregate-paginate-v2");
+
+// A tweet is a short community post published by a channel, shown alongside its videos.
+const tweetSchema = new mongoose.Schema(
+  {
+    content: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+tweetSchema.plugin(mongooseAggregatePaginate);
+
+module.exports = mongoose.model("Tweet", tweetSchema);
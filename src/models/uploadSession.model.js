@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+
+// A resumable video upload (see controllers/upload.controller.js). The file is sent in chunks, and "offset" is the
+// number of bytes received so far, so an interrupted upload can continue from there instead of starting over.
+//
+// status:
+// "uploading"  -> waiting for chunks
+// "processing" -> every byte was received, the file is being assembled, checked and sent to the storage
+// "completed"  -> the Video was created ("video")
+// "failed"     -> the file was rejected ("error" says why)
+const uploadSessionSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // Details of the video that is created once the upload is complete.
+    title: {
+      type: String,
+      required: true,
+    },
+    description: {
+      type: String,
+      required: true,
+    },
+    // Thumbnail uploaded when the session was created, kept in the upload's folder until the video is created.
+    thumbnailPath: {
+      type: String,
+      required: true,
+    },
+    fileName: {
+      type: String,
+      default: "",
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    // Total size of the file in bytes, announced by the client.
+    size: {
+      type: Number,
+      required: true,
+    },
+    offset: {
+      type: Number,
+      default: 0,
+    },
+    // Optional SHA-256 (hex) of the whole file, checked once it's assembled.
+    checksum: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: ["uploading", "processing", "completed", "failed"],
+      default: "uploading",
+    },
+    error: {
+      type: String,
+    },
+    video: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Video",
+    },
+    // Pushed back every time a chunk is received. Once passed, the upload is abandoned and gets cleaned up
+    // (see jobs/cleanupUploads.js).
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+uploadSessionSchema.index({ expiresAt: 1 });
+
+module.exports = mongoose.model("UploadSession", uploadSessionSchema);
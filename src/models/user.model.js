@@ -3,7 +3,9 @@ const mongoose = require("mongoose");
 // Use below code in terminal to generate tokens like ACCESS_TOKEN_SECRET or REFRESH_TOKEN_SECRET:
 // node -e "console.log(require('crypto').randomBytes(64).toString('hex'))"
 const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
 const bcrypt = require("bcrypt");
+const mongooseAggregatePaginate = require("mongoose-aggregate-paginate-v2");
 
 const userSchema = new mongoose.Schema(
   {
@@ -11,6 +13,7 @@ const userSchema = new mongoose.Schema(
       type: String,
       required: true,
       unique: true,
+      lowercase: true,
       trim: true,
       index: true,
     },
@@ -21,6 +24,14 @@ const userSchema = new mongoose.Schema(
       lowercase: true,
       trim: true,
     },
+    // New accounts (and accounts that change their email) must confirm the address through the link sent by email.
+    isEmailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
     password: {
       type: String,
       required: [true, "Password is required"],
@@ -35,18 +46,63 @@ const userSchema = new mongoose.Schema(
       type: String, // Cloudinary (A place where we can upload image and in return it will provide url to Store in db) URL.
       required: true,
     },
+    // Id of the avatar in the storage provider, needed to delete the old file when the avatar is changed.
+    avatarPublicId: {
+      type: String,
+    },
     coverImage: {
       type: String, // Cloudinary (A place where we can upload image and in return it will provide url to Store in db) URL.
     },
-    refreshToken: {
+    coverImagePublicId: {
       type: String,
     },
+    // Most recently watched video first. A video appears only once, re-watching it moves it back to the top.
     watchHistory: [
       {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: "Video",
+        video: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Video",
+          required: true,
+        },
+        watchedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        // Last playback position in seconds, used to resume the video where the user left it.
+        position: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        _id: false,
       },
     ],
+    // When true, new views are not recorded in the watch history.
+    isWatchHistoryPaused: {
+      type: Boolean,
+      default: false,
+    },
+    // What the user is allowed to do. Moderators and admins can use the admin area (see admin.routes.js).
+    role: {
+      type: String,
+      enum: ["user", "moderator", "admin"],
+      default: "user",
+    },
+    // Suspended accounts are blocked until suspendedUntil, banned accounts until they are unbanned.
+    // A blocked user can't log in, refresh a token or use an access token.
+    status: {
+      type: String,
+      enum: ["active", "suspended", "banned"],
+      default: "active",
+    },
+    suspendedUntil: {
+      type: Date,
+    },
+    // Set every time the password changes (not at sign up). Personal access tokens created before it are refused.
+    passwordChangedAt: {
+      type: Date,
+      default: null,
+    },
   },
   { timestamps: true }
 );
@@ -59,18 +115,40 @@ userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
 
   this.password = await bcrypt.hash(this.password, 10);
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+  }
   next();
 });
 
+// Returns why the account can't be used (suspended or banned), or null if it's active.
+// A suspension ends by itself once suspendedUntil has passed.
+userSchema.methods.getAccessRestriction = function () {
+  if (this.status === "banned") {
+    return "Your account has been banned";
+  }
+  if (
+    this.status === "suspended" &&
+    (!this.suspendedUntil || this.suspendedUntil > new Date())
+  ) {
+    return this.suspendedUntil
+      ? `Your account is suspended until ${this.suspendedUntil.toISOString()}`
+      : "Your account is suspended";
+  }
+  return null;
+};
+
 userSchema.methods.comparePassword = async function (userPassword) {
   return await bcrypt.compare(userPassword, this.password);
 };
 
 // ".sign" methods is used to generate tokens.
-userSchema.methods.generateAccessToken = function () {
+// "sid" is the id of the session (see session.model.js) the token belongs to, so revoking a session also invalidates its access tokens.
+userSchema.methods.generateAccessToken = function (sessionId) {
   return jwt.sign(
     {
       _id: this._id,
+      sid: sessionId,
       email: this.email,
       userName: this.userName,
       fullName: this.fullName,
@@ -82,10 +160,14 @@ userSchema.methods.generateAccessToken = function () {
   );
 };
 
-userSchema.methods.generateRefreshToken = function () {
+// "jti" is a random id that makes every refresh token unique, even two tokens signed in the same second.
+// Without it a rotated token could be identical to the previous one and reuse couldn't be detected.
+userSchema.methods.generateRefreshToken = function (sessionId) {
   return jwt.sign(
     {
       _id: this._id,
+      sid: sessionId,
+      jti: crypto.randomUUID(),
     },
     process.env.REFRESH_TOKEN_SECRET,
     {
@@ -94,4 +176,12 @@ userSchema.methods.generateRefreshToken = function () {
   );
 };
 
+// Text index used by the search endpoint to find channels.
+userSchema.index(
+  { userName: "text", fullName: "text" },
+  { weights: { userName: 5, fullName: 3 }, name: "user_text_search" }
+);
+
+userSchema.plugin(mongooseAggregatePaginate);
+
 module.exports = mongoose.model("User", userSchema);
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+// Single-use tokens sent to the user by email: email verification and password reset links.
+// Only the hash of the token is stored. A token is used once (usedAt is set) and expires after a while.
+const userTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["email-verification", "password-reset"],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // For email verification: the address the link was sent to. If the user changes it again before clicking,
+    // the old link must not verify the new address.
+    email: {
+      type: String,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+userTokenSchema.index({ user: 1, type: 1 });
+// Expired tokens are deleted automatically by MongoDB (TTL index).
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("UserToken", userTokenSchema);
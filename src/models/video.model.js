@@ -7,10 +7,17 @@ const videoSchema = new mongoose.Schema(
       type: String, // Cloudinary (A place where we can upload image and in return it will provide url to Store in db) URL.
       required: true,
     },
+    // Ids of the files in the storage provider, needed to delete them when they are replaced or the video is deleted.
+    videoFilePublicId: {
+      type: String,
+    },
     thumbnail: {
       type: String, // Cloudinary (A place where we can upload image and in return it will provide url to Store in db) URL.
       required: true,
     },
+    thumbnailPublicId: {
+      type: String,
+    },
     title: {
       type: String,
       required: true,
@@ -19,18 +26,37 @@ const videoSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // In seconds. null when the storage driver can't read it (local and s3 don't probe the file).
     duration: {
       type: Number,
-      required: true,
+      default: null,
     },
     views: {
       type: Number,
       default: 0,
     },
+    // Computed periodically by jobs/trending.js from the recent views and likes. 0 when the video isn't trending.
+    trendingScore: {
+      type: Number,
+      default: 0,
+    },
+    trendingUpdatedAt: {
+      type: Date,
+    },
     isPublished: {
       type: Boolean,
       default: true,
     },
+    // When the subscribers of the channel were notified about the video, so they are only notified once.
+    subscribersNotifiedAt: {
+      type: Date,
+      default: null,
+    },
+    // Set when a moderator force-unpublishes the video (see admin.controller.js). The owner can't publish it again.
+    isModerationLocked: {
+      type: Boolean,
+      default: false,
+    },
     owner: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -39,6 +65,15 @@ const videoSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// Text index used by the search endpoint. A match in the title counts more than one in the description.
+videoSchema.index(
+  { title: "text", description: "text" },
+  { weights: { title: 10, description: 2 }, name: "video_text_search" }
+);
+videoSchema.index({ trendingScore: -1 });
+// Used by the subscription feed, which lists the newest videos of a set of channels.
+videoSchema.index({ owner: 1, createdAt: -1 });
+
 videoSchema.plugin(mongooseAggregatePaginate);
 
 module.exports = mongoose.model("Video", videoSchema);
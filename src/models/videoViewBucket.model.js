@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+// Number of views of a video during one hour. Video.views holds the all-time total, these buckets tell how many of
+// those views are recent, which is what the trending score needs (see jobs/trending.js).
+const videoViewBucketSchema = new mongoose.Schema({
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Video",
+    required: true,
+  },
+  // Start of the hour (minutes, seconds and milliseconds set to 0).
+  hour: {
+    type: Date,
+    required: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+});
+
+videoViewBucketSchema.index({ video: 1, hour: 1 }, { unique: true });
+// Buckets are only needed for the trending window, MongoDB deletes them after VIEW_BUCKET_RETENTION_DAYS (default 7).
+videoViewBucketSchema.index(
+  { hour: 1 },
+  {
+    expireAfterSeconds:
+      (Number(process.env.VIEW_BUCKET_RETENTION_DAYS) || 7) * 24 * 60 * 60,
+  }
+);
+
+module.exports = mongoose.model("VideoViewBucket", videoViewBucketSchema);
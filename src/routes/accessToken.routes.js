@@ -0,0 +1,27 @@
+const express = require("express");
+const {
+  createPersonalAccessToken,
+  getMyAccessTokens,
+  revokeAccessToken,
+} = require("../controllers/accessToken.controller");
+const { verifyJWTToken } = require("../middleware/auth.middleware");
+const { validate } = require("../middleware/validate.middleware");
+const {
+  createAccessTokenSchema,
+  revokeAccessTokenSchema,
+} = require("../validators/accessToken.validator");
+
+const router = express.Router();
+
+// Tokens can only be managed by a logged-in user, never with another token.
+router.use(verifyJWTToken);
+
+router.get("/", getMyAccessTokens);
+router.post("/", validate(createAccessTokenSchema), createPersonalAccessToken);
+router.delete(
+  "/:tokenId",
+  validate(revokeAccessTokenSchema),
+  revokeAccessToken
+);
+
+module.exports = router;
@@ -0,0 +1,73 @@
+const express = require("express");
+const {
+  listUsers,
+  suspendUser,
+  banUser,
+  unbanUser,
+  updateUserRole,
+  unpublishVideo,
+  restoreVideo,
+  deleteVideo,
+  getPlatformStats,
+  getAuditLogs,
+} = require("../controllers/admin.controller");
+const { verifyJWTToken, authorize } = require("../middleware/auth.middleware");
+const { validate } = require("../middleware/validate.middleware");
+const {
+  listUsersSchema,
+  suspendUserSchema,
+  moderateUserSchema,
+  updateUserRoleSchema,
+  moderateVideoSchema,
+  auditLogsSchema,
+} = require("../validators/admin.validator");
+
+const router = express.Router();
+
+// The whole admin area is reserved to moderators and admins.
+// Banning, changing roles and reading the audit log are reserved to admins.
+router.use(verifyJWTToken, authorize("moderator", "admin"));
+
+router.get("/stats", getPlatformStats);
+
+router.get("/users", validate(listUsersSchema), listUsers);
+router.post("/users/:userId/suspend", validate(suspendUserSchema), suspendUser);
+router.post(
+  "/users/:userId/ban",
+  authorize("admin"),
+  validate(moderateUserSchema),
+  banUser
+);
+router.post(
+  "/users/:userId/unban",
+  authorize("admin"),
+  validate(moderateUserSchema),
+  unbanUser
+);
+router.patch(
+  "/users/:userId/role",
+  authorize("admin"),
+  validate(updateUserRoleSchema),
+  updateUserRole
+);
+
+router.patch(
+  "/videos/:videoId/unpublish",
+  validate(moderateVideoSchema),
+  unpublishVideo
+);
+router.patch(
+  "/videos/:videoId/restore",
+  validate(moderateVideoSchema),
+  restoreVideo
+);
+router.delete("/videos/:videoId", validate(moderateVideoSchema), deleteVideo);
+
+router.get(
+  "/audit-logs",
+  authorize("admin"),
+  validate(auditLogsSchema),
+  getAuditLogs
+);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require("express");
+const {
+  getVideoComments,
+  getCommentReplies,
+  addComment,
+  updateComment,
+  deleteComment,
+} = require("../controllers/comment.controller");
+const {
+  verifyJWTOrAccessToken,
+  requireVerifiedEmail,
+} = require("../middleware/auth.middleware");
+
+const router = express.Router();
+
+router.use(
+  verifyJWTOrAccessToken({ read: "comments:read", write: "comments:write" }),
+  requireVerifiedEmail
+);
+
+router.get("/:videoId", getVideoComments);
+router.post("/:videoId", addComment);
+router.get("/c/:commentId/replies", getCommentReplies);
+router.patch("/c/:commentId", updateComment);
+router.delete("/c/:commentId", deleteComment);
+
+module.exports = router;
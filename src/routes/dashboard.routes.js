@@ -0,0 +1,16 @@
+const express = require("express");
+const {
+  getChannelStats,
+  getChannelVideos,
+} = require("../controllers/dashboard.controller");
+const { verifyJWTOrAccessToken } = require("../middleware/auth.middleware");
+
+const router = express.Router();
+
+// The dashboard always shows the logged-in user's own channel.
+router.use(verifyJWTOrAccessToken({ read: "dashboard:read" }));
+
+router.get("/stats", getChannelStats);
+router.get("/videos", getChannelVideos);
+
+module.exports = router;
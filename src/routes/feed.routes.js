@@ -0,0 +1,18 @@
+const express = require("express");
+const { getSubscriptionFeed } = require("../controllers/feed.controller");
+const { verifyJWTOrAccessToken } = require("../middleware/auth.middleware");
+const { validate } = require("../middleware/validate.middleware");
+const { subscriptionFeedSchema } = require("../validators/feed.validator");
+
+const router = express.Router();
+
+router.use(verifyJWTOrAccessToken({ read: "videos:read" }));
+
+// Home page of logged-in users: the latest videos of the channels they follow.
+router.get(
+  "/subscriptions",
+  validate(subscriptionFeedSchema),
+  getSubscriptionFeed
+);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require("express");
+const {
+  toggleVideoLike,
+  toggleCommentLike,
+  toggleTweetLike,
+  getLikedVideos,
+} = require("../controllers/like.controller");
+const {
+  verifyJWTOrAccessToken,
+  requireVerifiedEmail,
+} = require("../middleware/auth.middleware");
+
+const router = express.Router();
+
+router.use(
+  verifyJWTOrAccessToken({ read: "likes:read", write: "likes:write" }),
+  requireVerifiedEmail
+);
+
+// "v" stands for video, "c" for comment and "t" for tweet (community post).
+router.post("/toggle/v/:videoId", toggleVideoLike);
+router.post("/toggle/c/:commentId", toggleCommentLike);
+router.post("/toggle/t/:tweetId", toggleTweetLike);
+router.get("/videos", getLikedVideos);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require("express");
+const {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  streamNotifications,
+} = require("../controllers/notification.controller");
+const { verifyJWTToken } = require("../middleware/auth.middleware");
+const { validate } = require("../middleware/validate.middleware");
+const {
+  getNotificationsSchema,
+  markNotificationReadSchema,
+} = require("../validators/notification.validator");
+
+const router = express.Router();
+
+router.use(verifyJWTToken);
+
+router.get("/", validate(getNotificationsSchema), getNotifications);
+router.get("/unread-count", getUnreadCount);
+// EventSource can't send an Authorization header, the stream is authenticated with the accessToken cookie.
+router.get("/stream", streamNotifications);
+router.patch("/read-all", markAllNotificationsRead);
+router.patch(
+  "/:notificationId/read",
+  validate(markNotificationReadSchema),
+  markNotificationRead
+);
+
+module.exports = router;
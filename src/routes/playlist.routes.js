@@ -0,0 +1,33 @@
+const express = require("express");
+const {
+  createPlaylist,
+  updatePlaylist,
+  deletePlaylist,
+  addVideoToPlaylist,
+  removeVideoFromPlaylist,
+  reorderPlaylistVideos,
+  getUserPlaylists,
+  getPlaylistById,
+} = require("../controllers/playlist.controller");
+const {
+  verifyJWTOrAccessToken,
+  requireVerifiedEmail,
+} = require("../middleware/auth.middleware");
+
+const router = express.Router();
+
+router.use(
+  verifyJWTOrAccessToken({ read: "playlists:read", write: "playlists:write" }),
+  requireVerifiedEmail
+);
+
+router.post("/", createPlaylist);
+router.get("/user/:userId", getUserPlaylists);
+router.get("/:playlistId", getPlaylistById);
+router.patch("/:playlistId", updatePlaylist);
+router.delete("/:playlistId", deletePlaylist);
+router.patch("/:playlistId/reorder", reorderPlaylistVideos);
+router.patch("/add/:videoId/:playlistId", addVideoToPlaylist);
+router.patch("/remove/:videoId/:playlistId", removeVideoFromPlaylist);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require("express");
+const {
+  search,
+  getSearchSuggestions,
+} = require("../controllers/search.controller");
+const { verifyJWTOrAccessToken } = require("../middleware/auth.middleware");
+const { validate } = require("../middleware/validate.middleware");
+const {
+  searchSchema,
+  searchSuggestionsSchema,
+} = require("../validators/search.validator");
+
+const router = express.Router();
+
+router.use(verifyJWTOrAccessToken({ read: "videos:read" }));
+
+// ?q, ?type (all, videos, channels, playlists), ?uploadDate, ?duration, ?page and ?limit.
+router.get("/", validate(searchSchema), search);
+// Autocomplete while typing: ?q and ?limit.
+router.get(
+  "/suggestions",
+  validate(searchSuggestionsSchema),
+  getSearchSuggestions
+);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require("express");
+const {
+  getMySessions,
+  revokeSession,
+  logoutAllSessions,
+} = require("../controllers/session.controller");
+const { verifyJWTToken } = require("../middleware/auth.middleware");
+
+const router = express.Router();
+
+router.use(verifyJWTToken);
+
+router.get("/", getMySessions);
+// Deleting all the sessions logs the user out everywhere.
+router.delete("/", logoutAllSessions);
+router.delete("/:sessionId", revokeSession);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require("express");
+const {
+  toggleSubscription,
+  getUserChannelSubscribers,
+  getSubscribedChannels,
+} = require("../controllers/subscription.controller");
+const {
+  verifyJWTOrAccessToken,
+  requireVerifiedEmail,
+} = require("../middleware/auth.middleware");
+
+const router = express.Router();
+
+router.use(
+  verifyJWTOrAccessToken({
+    read: "subscriptions:read",
+    write: "subscriptions:write",
+  }),
+  requireVerifiedEmail
+);
+
+// "c" stands for channel and "u" for user (subscriber).
+router.post("/c/:channelId", toggleSubscription);
+router.get("/c/:channelId", getUserChannelSubscribers);
+router.get("/u/:subscriberId", getSubscribedChannels);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require("express");
+const {
+  createTweet,
+  getUserTweets,
+  updateTweet,
+  deleteTweet,
+} = require("../controllers/tweet.controller");
+const {
+  verifyJWTOrAccessToken,
+  requireVerifiedEmail,
+} = require("../middleware/auth.middleware");
+
+const router = express.Router();
+
+router.use(
+  verifyJWTOrAccessToken({ read: "tweets:read", write: "tweets:write" }),
+  requireVerifiedEmail
+);
+
+router.post("/", createTweet);
+router.get("/user/:userId", getUserTweets);
+router.patch("/:tweetId", updateTweet);
+router.delete("/:tweetId", deleteTweet);
+
+module.exports = router;
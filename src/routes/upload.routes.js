@@ -0,0 +1,49 @@
+const express = require("express");
+const {
+  createUpload,
+  getUploadOffset,
+  getUploadStatus,
+  uploadChunk,
+  cancelUpload,
+} = require("../controllers/upload.controller");
+const { upload } = require("../middleware/uploadFile.middleware");
+const {
+  verifyJWTOrAccessToken,
+  requireVerifiedEmail,
+} = require("../middleware/auth.middleware");
+const { rateLimit } = require("../middleware/rateLimit.middleware");
+const { validate } = require("../middleware/validate.middleware");
+const { createUploadSchema } = require("../validators/upload.validator");
+
+const router = express.Router();
+
+// Same limit as publishing a video in one request (video.routes.js): each upload creates a video.
+const createUploadLimit = rateLimit({
+  name: "create-upload",
+  windowMs: 60 * 60 * 1000,
+  max: 20,
+  keyBy: "user",
+  message: "Too many uploads, please try again later",
+});
+
+// Resumable video uploads, see upload.controller.js for the protocol.
+router.use(
+  verifyJWTOrAccessToken({ read: "videos:read", write: "videos:write" }),
+  requireVerifiedEmail
+);
+
+// validate() runs after multer, because the text fields of a multipart form are only in req.body once multer has parsed it.
+router.post(
+  "/",
+  createUploadLimit,
+  upload.single("thumbnail"),
+  validate(createUploadSchema),
+  createUpload
+);
+// HEAD must be declared before GET, otherwise Express answers HEAD requests with the GET handler.
+router.head("/:uploadId", getUploadOffset);
+router.get("/:uploadId", getUploadStatus);
+router.patch("/:uploadId", uploadChunk);
+router.delete("/:uploadId", cancelUpload);
+
+module.exports = router;
@@ -11,45 +11,203 @@ const {
   updateUserCoverImage,
   getUserChannelProfile,
   getWatchHistory,
+  addToWatchHistory,
+  removeFromWatchHistory,
+  clearWatchHistory,
+  toggleWatchHistoryPause,
+  getFailedLoginAttempts,
 } = require("../controllers/user.controller");
+const {
+  requestEmailVerification,
+  confirmEmailVerification,
+  requestPasswordReset,
+  confirmPasswordReset,
+} = require("../controllers/auth.controller");
 const { upload } = require("../middleware/uploadFile.middleware");
-const { verifyJWTToken } = require("../middleware/auth.middleware");
+const {
+  verifyJWTToken,
+  verifyJWTOrAccessToken,
+  requireVerifiedEmail,
+} = require("../middleware/auth.middleware");
+const { validate } = require("../middleware/validate.middleware");
+const { rateLimit } = require("../middleware/rateLimit.middleware");
+const {
+  registerUserSchema,
+  loginUserSchema,
+  refreshAccessTokenSchema,
+  changeCurrentPasswordSchema,
+  updateAccountDetailsSchema,
+  channelProfileSchema,
+  watchHistorySchema,
+  addToWatchHistorySchema,
+  removeFromWatchHistorySchema,
+  toggleWatchHistoryPauseSchema,
+  confirmEmailVerificationSchema,
+  requestPasswordResetSchema,
+  confirmPasswordResetSchema,
+  failedLoginAttemptsSchema,
+} = require("../validators/user.validator");
 
 const router = express.Router();
 
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Rate limits of the routes that can be abused: creating accounts, guessing passwords, minting tokens,
+// sending emails and uploading files. Anonymous routes are limited per IP, logged-in ones per user.
+// The login limit is on top of the per-account lockout of loginThrottle.js.
+const registerLimit = rateLimit({
+  name: "register",
+  windowMs: HOUR,
+  max: 5,
+  message: "Too many accounts created from this IP, please try again later",
+});
+const loginLimit = rateLimit({
+  name: "login",
+  windowMs: 15 * MINUTE,
+  max: 20,
+  algorithm: "sliding",
+});
+const refreshTokenLimit = rateLimit({
+  name: "refresh-token",
+  windowMs: 15 * MINUTE,
+  max: 60,
+  algorithm: "sliding",
+});
+const emailLimit = rateLimit({
+  name: "account-email",
+  windowMs: HOUR,
+  max: 5,
+  message: "Too many emails requested, please try again later",
+});
+const imageUploadLimit = rateLimit({
+  name: "user-image-upload",
+  windowMs: HOUR,
+  max: 10,
+  keyBy: "user",
+  message: "Too many uploads, please try again later",
+});
+
 // Route to handle user registration with avatar and cover image upload
-// Before registering a user, we need to upload the avatar and cover image to cloudinary and then store the image url in the database.
+// Before registering a user, we need to upload the avatar and cover image to the storage (cloudinary by default) and then store the image url in the database.
+// validate() runs after multer because the text fields of a multipart form are only available in req.body once multer has parsed it.
 router.post(
   "/register",
+  registerLimit,
   upload.fields([
     { name: "avatar", maxCount: 1 },
     { name: "coverImage", maxCount: 1 },
   ]),
+  validate(registerUserSchema),
   registerUser
 );
 
-router.post("/login", loginUser);
+router.post("/login", loginLimit, validate(loginUserSchema), loginUser);
+
+// Email verification and password reset. The confirm routes are public: the token sent by email proves who the user is.
+router.post(
+  "/verify-email/request",
+  verifyJWTToken,
+  emailLimit,
+  requestEmailVerification
+);
+router.post(
+  "/verify-email/confirm",
+  validate(confirmEmailVerificationSchema),
+  confirmEmailVerification
+);
+router.post(
+  "/password-reset/request",
+  emailLimit,
+  validate(requestPasswordResetSchema),
+  requestPasswordReset
+);
+router.post(
+  "/password-reset/confirm",
+  validate(confirmPasswordResetSchema),
+  confirmPasswordReset
+);
 
 // Secure routes.
 // We are using verifyJWTToken middleware to verify the access token before allowing the user to logout.
 router.post("/logout", verifyJWTToken, logoutUser);
-router.post("/refresh-token", refreshAccessToken);
-router.post("/change-password", verifyJWTToken, changeCurrentPassword);
-router.post("/get-current-user", verifyJWTToken, getCurrentUser);
-router.patch("/update-account-details", verifyJWTToken, updateAccountDetails);
+router.post(
+  "/refresh-token",
+  refreshTokenLimit,
+  validate(refreshAccessTokenSchema),
+  refreshAccessToken
+);
+router.post(
+  "/change-password",
+  verifyJWTToken,
+  validate(changeCurrentPasswordSchema),
+  changeCurrentPassword
+);
+router.get(
+  "/login-attempts",
+  verifyJWTToken,
+  validate(failedLoginAttemptsSchema),
+  getFailedLoginAttempts
+);
+router.post(
+  "/get-current-user",
+  verifyJWTOrAccessToken("profile:read"),
+  getCurrentUser
+);
+// JWT only: it can change the email, which is where password reset links are sent, so a leaked personal access token
+// must not be enough to take over the account.
 router.patch(
-  "/update-avatar",
+  "/update-account-details",
   verifyJWTToken,
+  validate(updateAccountDetailsSchema),
+  updateAccountDetails
+);
+router.patch(
+  "/update-avatar",
+  verifyJWTOrAccessToken("profile:write"),
+  requireVerifiedEmail,
+  imageUploadLimit,
   upload.single("avatar"),
   updateUserAvatar
 );
 router.patch(
   "/update-cover-image",
-  verifyJWTToken,
+  verifyJWTOrAccessToken("profile:write"),
+  requireVerifiedEmail,
+  imageUploadLimit,
   upload.single("coverImage"),
   updateUserCoverImage
 );
-router.get("/c/:userName", verifyJWTToken, getUserChannelProfile);
-router.get("/watch-history", verifyJWTToken, getWatchHistory);
+router.get(
+  "/c/:userName",
+  verifyJWTOrAccessToken("profile:read"),
+  validate(channelProfileSchema),
+  getUserChannelProfile
+);
+router.get(
+  "/watch-history",
+  verifyJWTToken,
+  validate(watchHistorySchema),
+  getWatchHistory
+);
+router.delete("/watch-history", verifyJWTToken, clearWatchHistory);
+router.patch(
+  "/watch-history/pause",
+  verifyJWTToken,
+  validate(toggleWatchHistoryPauseSchema),
+  toggleWatchHistoryPause
+);
+router.post(
+  "/watch-history/:videoId",
+  verifyJWTToken,
+  validate(addToWatchHistorySchema),
+  addToWatchHistory
+);
+router.delete(
+  "/watch-history/:videoId",
+  verifyJWTToken,
+  validate(removeFromWatchHistorySchema),
+  removeFromWatchHistory
+);
 
 module.exports = router;
@@ -0,0 +1,97 @@
+const express = require("express");
+const {
+  getAllVideos,
+  publishAVideo,
+  getVideoById,
+  updateVideo,
+  deleteVideo,
+  togglePublishStatus,
+  recordVideoView,
+  getTrendingVideos,
+} = require("../controllers/video.controller");
+const { upload } = require("../middleware/uploadFile.middleware");
+const {
+  verifyJWTOrAccessToken,
+  optionalJWTToken,
+  requireVerifiedEmail,
+} = require("../middleware/auth.middleware");
+const { rateLimit } = require("../middleware/rateLimit.middleware");
+const { validate } = require("../middleware/validate.middleware");
+const {
+  getAllVideosSchema,
+  publishVideoSchema,
+  updateVideoSchema,
+} = require("../validators/video.validator");
+
+const router = express.Router();
+
+const HOUR = 60 * 60 * 1000;
+
+// Uploads are the most expensive requests (disk, bandwidth and storage provider), so they are limited per user.
+// The limiters run before multer so a rejected request isn't received and written to disk first.
+const publishVideoLimit = rateLimit({
+  name: "publish-video",
+  windowMs: HOUR,
+  max: 20,
+  keyBy: "user",
+  message: "Too many uploads, please try again later",
+});
+const updateThumbnailLimit = rateLimit({
+  name: "update-thumbnail",
+  windowMs: HOUR,
+  max: 30,
+  keyBy: "user",
+  message: "Too many uploads, please try again later",
+});
+
+// Views are recorded for anonymous viewers too, so this route is declared before the authentication below.
+// The limit is well above what a real viewer does, it only stops scripts from hammering the endpoint.
+const recordViewLimit = rateLimit({
+  name: "record-view",
+  windowMs: HOUR,
+  max: 300,
+});
+router.post(
+  "/:videoId/views",
+  recordViewLimit,
+  optionalJWTToken,
+  recordVideoView
+);
+
+// Every video route needs a logged-in user (or a personal access token with the videos scopes), so the middleware is
+// applied to the whole router. Creating or changing anything also needs a verified email address.
+router.use(
+  verifyJWTOrAccessToken({ read: "videos:read", write: "videos:write" }),
+  requireVerifiedEmail
+);
+
+// Paginated listing. Supports ?page, ?limit, ?query, ?sortBy, ?sortType and ?userId.
+router.get("/", validate(getAllVideosSchema), getAllVideos);
+
+// The video file and its thumbnail are uploaded together, in the same way as avatar and coverImage in user.routes.js.
+// validate() runs after multer, because the text fields of a multipart form are only in req.body once multer has parsed it.
+router.post(
+  "/",
+  publishVideoLimit,
+  upload.fields([
+    { name: "videoFile", maxCount: 1 },
+    { name: "thumbnail", maxCount: 1 },
+  ]),
+  validate(publishVideoSchema),
+  publishAVideo
+);
+
+// Must be declared before "/:videoId", otherwise "trending" would be taken for a video id.
+router.get("/trending", getTrendingVideos);
+router.get("/:videoId", getVideoById);
+router.patch(
+  "/:videoId",
+  updateThumbnailLimit,
+  upload.single("thumbnail"),
+  validate(updateVideoSchema),
+  updateVideo
+);
+router.delete("/:videoId", deleteVideo);
+router.patch("/toggle/publish/:videoId", togglePublishStatus);
+
+module.exports = router;
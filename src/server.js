@@ -1,6 +1,10 @@
 require("dotenv").config(); // Load .env variables
 const connectDB = require("./db/dbConnection");
 const { app } = require("./app"); // ✅ Use the app with routes and middleware registered
+const { startViewFlushing, stopViewFlushing } = require("./utils/viewCounter");
+const { startTrendingRefresh } = require("./jobs/trending");
+const { startUploadCleanup } = require("./jobs/cleanupUploads");
+const { recoverUploads } = require("./jobs/processUpload");
 
 // Connect DB & Start Server
 connectDB()
@@ -13,6 +17,28 @@ connectDB()
       console.error("Server error:", err);
       process.exit(1);
     });
+
+    // Background work that needs the database: writing the buffered views, recomputing the trending scores,
+    // cleaning up the abandoned resumable uploads and resuming the ones a previous run didn't finish processing.
+    startViewFlushing();
+    startTrendingRefresh();
+    startUploadCleanup();
+    recoverUploads()
+      .then((count) => {
+        if (count) console.log(`Resumed processing of ${count} upload(s)`);
+      })
+      .catch((err) => console.error("Error recovering uploads:", err));
+
+    // On a normal stop (Ctrl+C, docker stop, ...) the buffered views are written before the process exits.
+    const shutdown = async () => {
+      server.close();
+      await stopViewFlushing().catch((err) =>
+        console.error("Error flushing views:", err)
+      );
+      process.exit(0);
+    };
+    process.once("SIGINT", shutdown);
+    process.once("SIGTERM", shutdown);
   })
   .catch((err) => {
     console.error("Database connection failed:", err);
@@ -1,8 +1,9 @@
 // We have created this file to handle all the errors that might occur in the application while interacting with the database. This makes the handling errors easier and more organized.
+// Usage: throw new ApiError(404, "User not found"). The statusCode comes first, like in every controller.
 class ApiError extends Error {
   constructor(
-    message = "Something went wrong",
     statusCode,
+    message = "Something went wrong",
     errors = [],
     stack = ""
   ) {
@@ -0,0 +1,87 @@
+const PersonalAccessToken = require("../models/personalAccessToken.model");
+const { generateToken, hashToken } = require("./tokens");
+
+// Every personal access token starts with this prefix, so the auth middleware can tell it apart from a JWT
+// (and secret scanners can recognise a leaked one).
+const ACCESS_TOKEN_PREFIX = "pat_";
+
+// What a personal access token can be allowed to do. "read" scopes cover the GET routes of a resource,
+// "write" scopes the routes that change it (see verifyJWTOrAccessToken in auth.middleware.js).
+// Account security (password, email, sessions, tokens) and the admin area are never reachable with a token.
+const ACCESS_TOKEN_SCOPES = [
+  "profile:read",
+  "profile:write",
+  "videos:read",
+  "videos:write",
+  "comments:read",
+  "comments:write",
+  "likes:read",
+  "likes:write",
+  "playlists:read",
+  "playlists:write",
+  "tweets:read",
+  "tweets:write",
+  "subscriptions:read",
+  "subscriptions:write",
+  "dashboard:read",
+];
+
+// lastUsedAt is only updated if it's older than this, so a script calling the API in a loop doesn't write on every request.
+const LAST_USED_UPDATE_INTERVAL = 60 * 1000;
+
+// Creates a token and returns the raw token (to show to the user once) with the saved document.
+const createAccessToken = async (user, { name, scopes, expiresAt }) => {
+  const token = `${ACCESS_TOKEN_PREFIX}${generateToken()}`;
+
+  const accessToken = await PersonalAccessToken.create({
+    user: user._id,
+    name,
+    tokenHash: hashToken(token),
+    tokenPrefix: token.slice(0, ACCESS_TOKEN_PREFIX.length + 8),
+    scopes: [...new Set(scopes)],
+    expiresAt: expiresAt || null,
+  });
+
+  return { token, accessToken };
+};
+
+// Returns the active token matching the raw token, or null. Records when and from where it was used.
+const findActiveAccessToken = async (token, req) => {
+  const accessToken = await PersonalAccessToken.findOne({
+    tokenHash: hashToken(token),
+  });
+  if (!accessToken?.isActive()) {
+    return null;
+  }
+
+  const now = new Date();
+  if (
+    !accessToken.lastUsedAt ||
+    now - accessToken.lastUsedAt > LAST_USED_UPDATE_INTERVAL
+  ) {
+    await PersonalAccessToken.updateOne(
+      { _id: accessToken._id },
+      { $set: { lastUsedAt: now, lastUsedIp: req.ip || "" } }
+    );
+  }
+
+  return accessToken;
+};
+
+// Revokes every active token of a user. Used when the password is reset or changed: whoever took over the account may
+// have created a token, and it must stop working once the owner gets the account back.
+const revokeAccessTokens = async (userId) => {
+  const { modifiedCount } = await PersonalAccessToken.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return modifiedCount;
+};
+
+module.exports = {
+  ACCESS_TOKEN_PREFIX,
+  ACCESS_TOKEN_SCOPES,
+  createAccessToken,
+  findActiveAccessToken,
+  revokeAccessTokens,
+};
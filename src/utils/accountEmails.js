@@ -0,0 +1,45 @@
+const { sendMail } = require("./mailer");
+const { issueUserToken } = require("./userTokens");
+
+// fullName comes from the user, so it's escaped before being put in the html.
+const escapeHtml = (text = "") =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// Links in the emails point to the frontend, which calls the confirm endpoints with the token.
+const buildLink = (pathName, token) =>
+  `${(process.env.CLIENT_URL || "").replace(/\/+$/, "")}${pathName}?token=${token}`;
+
+// Sends a link to verify the user's current email address.
+const sendEmailVerification = async (user) => {
+  const token = await issueUserToken(user, "email-verification", {
+    email: user.email,
+  });
+  const link = buildLink("/verify-email", token);
+
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: `Hi ${user.fullName},\n\nPlease verify your email address by opening this link:\n${link}\n\nIf you didn't create an account, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.fullName)},</p><p>Please verify your email address by clicking <a href="${link}">this link</a>.</p><p>If you didn't create an account, you can ignore this email.</p>`,
+  });
+};
+
+// Sends a link to choose a new password.
+const sendPasswordReset = async (user) => {
+  const token = await issueUserToken(user, "password-reset");
+  const link = buildLink("/reset-password", token);
+
+  await sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: `Hi ${user.fullName},\n\nYou can choose a new password by opening this link:\n${link}\n\nIf you didn't ask for a password reset, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.fullName)},</p><p>You can choose a new password by clicking <a href="${link}">this link</a>.</p><p>If you didn't ask for a password reset, you can ignore this email.</p>`,
+  });
+};
+
+module.exports = { sendEmailVerification, sendPasswordReset };
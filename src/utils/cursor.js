@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+const ApiError = require("./ApiError");
+
+// Cursor-based pagination for lists sorted newest first ({ createdAt: -1, _id: -1 }).
+// Instead of a page number, the client sends back the "nextCursor" of the previous response, which points to the last
+// item it received. The next page starts right after that item, so new items added at the top of the list in the
+// meantime don't shift the pages (no item is skipped or shown twice, unlike with ?page=2).
+// The cursor is opaque to the client: base64url of { createdAt, _id } of the last item.
+
+const encodeCursor = (item) =>
+  Buffer.from(
+    JSON.stringify({ createdAt: item.createdAt, _id: item._id })
+  ).toString("base64url");
+
+// Returns the $match condition selecting the items after the cursor. Throws a 400 if the cursor was tampered with.
+const getCursorMatch = (cursor) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch (err) {
+    throw new ApiError(400, "Invalid cursor");
+  }
+
+  const createdAt = new Date(decoded?.createdAt);
+  if (
+    Number.isNaN(createdAt.getTime()) ||
+    !mongoose.isValidObjectId(decoded?._id)
+  ) {
+    throw new ApiError(400, "Invalid cursor");
+  }
+  const _id = new mongoose.Types.ObjectId(decoded._id);
+
+  // Older than the last item, or created at the same time with a smaller _id (the tie breaker of the sort).
+  return {
+    $or: [{ createdAt: { $lt: createdAt } }, { createdAt, _id: { $lt: _id } }],
+  };
+};
+
+module.exports = { encodeCursor, getCursorMatch };
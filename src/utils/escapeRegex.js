@@ -0,0 +1,4 @@
+// Escapes the characters that have a special meaning inside a regular expression, so the search text is matched literally.
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+module.exports = escapeRegex;
@@ -0,0 +1,104 @@
+const fs = require("fs");
+
+// Detects the real type of a file from its first bytes ("magic bytes"), instead of trusting the extension or the
+// MIME type sent by the client, which can be anything.
+// Returns { mimeType, extension } or null when the format is not one we know.
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const ascii = (text) => [...text].map((char) => char.charCodeAt(0));
+
+// Major brands (bytes 8-11) of the mp4 files we accept. Other ISO base media files also start with "ftyp"
+// (HEIC and AVIF images, 3GP, ...), so "ftyp" alone is not enough to call a file an mp4.
+const MP4_BRANDS = [
+  "isom",
+  "iso2",
+  "iso4",
+  "iso5",
+  "iso6",
+  "mp41",
+  "mp42",
+  "avc1",
+  "dash",
+  "M4V ",
+  "f4v ",
+  "mmp4",
+];
+
+const SIGNATURES = [
+  {
+    mimeType: "image/jpeg",
+    extension: ".jpg",
+    matches: (buffer) => startsWith(buffer, [0xff, 0xd8, 0xff]),
+  },
+  {
+    mimeType: "image/png",
+    extension: ".png",
+    matches: (buffer) =>
+      startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  },
+  {
+    mimeType: "image/gif",
+    extension: ".gif",
+    matches: (buffer) =>
+      startsWith(buffer, ascii("GIF87a")) ||
+      startsWith(buffer, ascii("GIF89a")),
+  },
+  {
+    // RIFF container whose format (bytes 8-11) is WEBP.
+    mimeType: "image/webp",
+    extension: ".webp",
+    matches: (buffer) =>
+      startsWith(buffer, ascii("RIFF")) && startsWith(buffer, ascii("WEBP"), 8),
+  },
+  {
+    // ISO base media files have "ftyp" at byte 4 followed by the brand. "qt  " is QuickTime (.mov), the mp4 brands are in MP4_BRANDS.
+    mimeType: "video/quicktime",
+    extension: ".mov",
+    matches: (buffer) =>
+      startsWith(buffer, ascii("ftyp"), 4) &&
+      startsWith(buffer, ascii("qt  "), 8),
+  },
+  {
+    mimeType: "video/mp4",
+    extension: ".mp4",
+    matches: (buffer) =>
+      startsWith(buffer, ascii("ftyp"), 4) &&
+      MP4_BRANDS.some((brand) => startsWith(buffer, ascii(brand), 8)),
+  },
+  {
+    // Matroska (EBML) container. WebM is a Matroska file whose DocType is "webm".
+    mimeType: "video/webm",
+    extension: ".webm",
+    matches: (buffer) =>
+      startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3]) &&
+      buffer.includes(Buffer.from("webm")),
+  },
+  {
+    mimeType: "video/x-matroska",
+    extension: ".mkv",
+    matches: (buffer) => startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3]),
+  },
+];
+
+// Only the beginning of the file is read, which is enough for every signature above.
+const HEADER_SIZE = 64;
+
+const detectFileType = async (filePath) => {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const buffer = Buffer.alloc(HEADER_SIZE);
+    const { bytesRead } = await handle.read(buffer, 0, HEADER_SIZE, 0);
+    const header = buffer.subarray(0, bytesRead);
+
+    const signature = SIGNATURES.find(({ matches }) => matches(header));
+    return signature
+      ? { mimeType: signature.mimeType, extension: signature.extension }
+      : null;
+  } finally {
+    await handle.close();
+  }
+};
+
+module.exports = { detectFileType };
@@ -0,0 +1,71 @@
+const escapeRegex = require("./escapeRegex");
+
+// Highlighting of the search terms in the results, e.g. "Learn <mark>node</mark>js in one video".
+// The text is HTML-escaped before the <mark> tags are added, so the frontend can render it as HTML safely.
+// A term also highlights the words it starts ("node" -> "nodejs"), close to what the text index's stemming matches.
+
+const SNIPPET_LENGTH = 160;
+
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// The words of the search query, longest first so "node" doesn't stop "nodejs" from being matched whole.
+const getSearchTerms = (query) =>
+  [
+    ...new Set(
+      query
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}_]+/u)
+        .filter(Boolean)
+    ),
+  ].sort((a, b) => b.length - a.length);
+
+const buildTermsRegex = (terms) =>
+  new RegExp(`(${terms.map(escapeRegex).join("|")})[\\p{L}\\p{N}_]*`, "giu");
+
+const markTerms = (text, terms) => {
+  if (!text || !terms.length) return escapeHtml(text || "");
+  // Split on the matches first and escape each part, so the entities added by escapeHtml are never matched.
+  const regex = buildTermsRegex(terms);
+  let result = "";
+  let lastIndex = 0;
+  for (const match of text.matchAll(regex)) {
+    result += escapeHtml(text.slice(lastIndex, match.index));
+    result += `<mark>${escapeHtml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+  return result + escapeHtml(text.slice(lastIndex));
+};
+
+// Highlights the whole text (for short fields like a title).
+const highlight = (text, query) => markTerms(text, getSearchTerms(query));
+
+// Highlights a part of a long text (like a description) centred on the first match.
+const highlightSnippet = (text, query) => {
+  if (!text) return "";
+  const terms = getSearchTerms(query);
+  const firstMatch = terms.length ? buildTermsRegex(terms).exec(text) : null;
+
+  let start = 0;
+  if (firstMatch && text.length > SNIPPET_LENGTH) {
+    start = Math.max(firstMatch.index - SNIPPET_LENGTH / 4, 0);
+  }
+  const end = Math.min(start + SNIPPET_LENGTH, text.length);
+
+  return (
+    (start > 0 ? "…" : "") +
+    markTerms(text.slice(start, end), terms) +
+    (end < text.length ? "…" : "")
+  );
+};
+
+// Highlights the first "length" characters, for autocomplete suggestions that match what was typed as a prefix.
+const highlightPrefix = (text, length) =>
+  `<mark>${escapeHtml(text.slice(0, length))}</mark>${escapeHtml(text.slice(length))}`;
+
+module.exports = { highlight, highlightSnippet, highlightPrefix };
@@ -0,0 +1,56 @@
+// Minimal in-process job queue, used for work that must not slow down the request that triggered it
+// (e.g. notifying every subscriber of a channel). The request adds a job and returns right away, the jobs are then
+// run one at a time in the background.
+//
+// Jobs are grouped in lanes, chosen when the handler is registered. Each lane has its own list and runs on its own, so
+// slow jobs (processing an upload moves a whole video to the storage) don't hold up the quick ones (notifications):
+//   registerJobHandler("upload:process", processUpload, { lane: "uploads" });
+// Handlers registered without a lane share the "default" one.
+//
+// The queue lives in memory: jobs that haven't run yet are lost if the process stops. Nothing here depends on that, a
+// persistent queue (BullMQ, Agenda, ...) can replace this file with the same enqueueJob / registerJobHandler functions.
+const DEFAULT_LANE = "default";
+
+// job name -> { handler, lane }
+const handlers = new Map();
+// lane name -> { jobs, isRunning }
+const lanes = new Map();
+
+const getLane = (name) => {
+  if (!lanes.has(name)) {
+    lanes.set(name, { jobs: [], isRunning: false });
+  }
+  return lanes.get(name);
+};
+
+const registerJobHandler = (name, handler, { lane = DEFAULT_LANE } = {}) => {
+  handlers.set(name, { handler, lane });
+};
+
+const runJobs = async (lane) => {
+  while (lane.jobs.length) {
+    const { name, payload } = lane.jobs.shift();
+    try {
+      await handlers.get(name).handler(payload);
+    } catch (err) {
+      // A failing job must not stop the queue, it is logged and skipped.
+      console.error(`Job "${name}" failed:`, err);
+    }
+  }
+  lane.isRunning = false;
+};
+
+const enqueueJob = (name, payload) => {
+  if (!handlers.has(name)) {
+    throw new Error(`No handler registered for job "${name}"`);
+  }
+  const lane = getLane(handlers.get(name).lane);
+  lane.jobs.push({ name, payload });
+  // setImmediate lets the current request finish before the jobs start.
+  if (!lane.isRunning) {
+    lane.isRunning = true;
+    setImmediate(() => runJobs(lane));
+  }
+};
+
+module.exports = { enqueueJob, registerJobHandler };
@@ -0,0 +1,149 @@
+const ApiError = require("./ApiError");
+const LoginAttempt = require("../models/loginAttempt.model");
+
+// Brute-force protection for every endpoint that checks a password.
+//
+// Failed attempts are counted over the last LOGIN_ATTEMPT_WINDOW_MINUTES (default 15), per account and per IP:
+// - Account: the first LOGIN_FREE_ATTEMPTS (default 3) failures are free. After that, each failure doubles the time the
+//   client must wait before the next try (1s, 2s, 4s, ... up to 60s). After MAX_FAILED_LOGINS_PER_ACCOUNT (default 5)
+//   failures the account is locked for LOGIN_LOCKOUT_MINUTES (default 15). A successful login resets the count.
+// - IP: after MAX_FAILED_LOGINS_PER_IP (default 20) failures, on any accounts, the IP is locked the same way. This stops
+//   one client from trying a common password on many accounts.
+// A blocked request is rejected with 429 and a Retry-After header, before the password is even checked.
+//
+// The attempt is claimed before the check: it's saved as a (pending) failure first, and only then are the failures
+// counted. Counting first and saving after the password check would let a burst of parallel guesses all pass the check
+// before any of them is saved. With the claim, each request of the burst counts the ones saved before it.
+//   const attempt = await claimLoginAttempt(req, { user, accountKey, identifier });
+//   ...check the password...
+//   await settleLoginAttempt(attempt, isPasswordCorrect);
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+const getSettings = () => ({
+  window: (Number(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15) * MINUTE,
+  freeAttempts: Number(process.env.LOGIN_FREE_ATTEMPTS) || 3,
+  maxPerAccount: Number(process.env.MAX_FAILED_LOGINS_PER_ACCOUNT) || 5,
+  maxPerIp: Number(process.env.MAX_FAILED_LOGINS_PER_IP) || 20,
+  lockout: (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * MINUTE,
+  maxDelay: 60 * SECOND,
+});
+
+// Failed attempts matching "filter" since the start of the window (and since the last success, for accounts), newest first.
+// Pending attempts count as failures until they are settled. "excludeId" is the attempt being checked.
+const getRecentFailures = async (filter, since, excludeId) => {
+  return await LoginAttempt.find({
+    ...filter,
+    _id: { $ne: excludeId },
+    success: false,
+    createdAt: { $gt: since },
+  })
+    .select("createdAt")
+    .sort({ createdAt: -1 })
+    .lean();
+};
+
+// Returns the time until which the client has to wait, or null if it can try now.
+const getBlockedUntil = (failures, maxFailures, settings) => {
+  if (!failures.length) return null;
+  const lastFailureAt = failures[0].createdAt.getTime();
+
+  if (failures.length >= maxFailures) {
+    return new Date(lastFailureAt + settings.lockout);
+  }
+
+  const extraFailures = failures.length - settings.freeAttempts;
+  if (extraFailures < 0) return null;
+  const delay = Math.min(SECOND * 2 ** extraFailures, settings.maxDelay);
+  return new Date(lastFailureAt + delay);
+};
+
+// Throws a 429 ApiError if the account or the IP must wait before trying again.
+// "excludeId" is the claimed attempt, which must not count against itself.
+const assertNotThrottled = async ({ accountKey, ip, excludeId }) => {
+  const settings = getSettings();
+  const now = Date.now();
+  const windowStart = new Date(
+    now - Math.max(settings.window, settings.lockout)
+  );
+
+  // A successful login resets the account's count (but not the IP's).
+  const lastSuccess = await LoginAttempt.findOne({ accountKey, success: true })
+    .select("createdAt")
+    .sort({ createdAt: -1 })
+    .lean();
+  const accountSince =
+    lastSuccess && lastSuccess.createdAt > windowStart
+      ? lastSuccess.createdAt
+      : windowStart;
+
+  const [accountFailures, ipFailures] = await Promise.all([
+    getRecentFailures({ accountKey }, accountSince, excludeId),
+    ip ? getRecentFailures({ ip }, windowStart, excludeId) : [],
+  ]);
+
+  const blockedUntil = [
+    getBlockedUntil(accountFailures, settings.maxPerAccount, settings),
+    getBlockedUntil(ipFailures, settings.maxPerIp, settings),
+  ]
+    .filter((date) => date && date.getTime() > now)
+    .sort((a, b) => b - a)[0];
+
+  if (blockedUntil) {
+    const retryAfter = Math.ceil((blockedUntil.getTime() - now) / SECOND);
+    const isLocked =
+      accountFailures.length >= settings.maxPerAccount ||
+      ipFailures.length >= settings.maxPerIp;
+    const error = new ApiError(
+      429,
+      isLocked
+        ? `Too many failed attempts, try again in ${Math.ceil(retryAfter / 60)} minute(s)`
+        : `Too many failed attempts, try again in ${retryAfter} second(s)`
+    );
+    error.retryAfter = retryAfter;
+    throw error;
+  }
+};
+
+// Saves the attempt as a pending failure, then throws a 429 if the account or the IP must wait (see the top of the file).
+// A rejected attempt is removed again: the password wasn't checked, so it's not a failure of its own.
+// Returns the attempt, to be passed to settleLoginAttempt() once the password has been checked.
+const claimLoginAttempt = async (
+  req,
+  { user, accountKey, identifier = "", type = "login" }
+) => {
+  const attempt = await LoginAttempt.create({
+    user: user?._id || null,
+    accountKey,
+    identifier,
+    type,
+    success: false,
+    pending: true,
+    ip: req.ip || "",
+    userAgent: (req.get("user-agent") || "").slice(0, 512),
+  });
+
+  try {
+    await assertNotThrottled({
+      accountKey,
+      ip: req.ip,
+      excludeId: attempt._id,
+    });
+  } catch (err) {
+    await LoginAttempt.deleteOne({ _id: attempt._id });
+    throw err;
+  }
+
+  return attempt;
+};
+
+// Records the result of the password check. A successful attempt resets the account's count.
+const settleLoginAttempt = async (attempt, success) => {
+  await LoginAttempt.updateOne(
+    { _id: attempt._id },
+    { $set: { success, pending: false } }
+  );
+};
+
+module.exports = { claimLoginAttempt, settleLoginAttempt };
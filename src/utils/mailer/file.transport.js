@@ -0,0 +1,18 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Writes every email to MAIL_OUTBOX_DIR as a JSON file instead of sending it. Open the file to click the links.
+const OUTBOX_DIR = path.resolve(process.env.MAIL_OUTBOX_DIR || "mail-outbox");
+
+const send = async (mail) => {
+  await fs.promises.mkdir(OUTBOX_DIR, { recursive: true });
+  const fileName = `${Date.now()}-${crypto.randomUUID()}.json`;
+  await fs.promises.writeFile(
+    path.join(OUTBOX_DIR, fileName),
+    JSON.stringify({ ...mail, sentAt: new Date() }, null, 2)
+  );
+  console.log(`Mail to ${mail.to} saved in ${path.join(OUTBOX_DIR, fileName)}`);
+};
+
+module.exports = { name: "file", send };
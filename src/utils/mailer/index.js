@@ -0,0 +1,49 @@
+// Mailer interface used by the app to send emails. The transport is chosen with the MAIL_TRANSPORT env variable:
+// "smtp"   -> real emails through an SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD)
+// "file"   -> every email is written as a JSON file in MAIL_OUTBOX_DIR (default "mail-outbox"), to work offline
+// "memory" -> emails are kept in an array (see getSentMails), useful for tests
+// Default: "smtp" when SMTP_HOST is set, "file" otherwise. In production there is no default to "file": the emails hold
+// live password reset and verification links, so they are only written to disk when MAIL_TRANSPORT=file says so.
+//
+// Every transport exports: send({ from, to, subject, text, html })
+const TRANSPORTS = {
+  smtp: "./smtp.transport",
+  file: "./file.transport",
+  memory: "./memory.transport",
+};
+
+let transport;
+
+const getTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+  if (process.env.SMTP_HOST) return "smtp";
+  if (process.env.NODE_ENV === "production") {
+    throw new Error(
+      "No mail transport configured: set SMTP_HOST, or MAIL_TRANSPORT to choose one explicitly"
+    );
+  }
+  return "file";
+};
+
+const getTransport = () => {
+  if (!transport) {
+    const transportName = getTransportName();
+    if (!TRANSPORTS[transportName]) {
+      throw new Error(`Unknown MAIL_TRANSPORT: ${transportName}`);
+    }
+    transport = require(TRANSPORTS[transportName]);
+  }
+  return transport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  await getTransport().send({
+    from: process.env.MAIL_FROM || "no-reply@youtube-clone.local",
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+module.exports = { sendMail };
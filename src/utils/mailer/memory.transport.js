@@ -0,0 +1,14 @@
+// Keeps the emails in memory instead of sending them.
+const sentMails = [];
+
+const send = async (mail) => {
+  sentMails.push({ ...mail, sentAt: new Date() });
+};
+
+const getSentMails = () => sentMails;
+
+const clearSentMails = () => {
+  sentMails.length = 0;
+};
+
+module.exports = { name: "memory", send, getSentMails, clearSentMails };
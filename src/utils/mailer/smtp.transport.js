@@ -0,0 +1,17 @@
+const nodemailer = require("nodemailer");
+
+const transporter = nodemailer.createTransport({
+  host: process.env.SMTP_HOST,
+  port: Number(process.env.SMTP_PORT) || 587,
+  // true for port 465, false for the other ports (STARTTLS is used when the server supports it).
+  secure: process.env.SMTP_SECURE === "true",
+  auth: process.env.SMTP_USER
+    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+    : undefined,
+});
+
+const send = async (mail) => {
+  await transporter.sendMail(mail);
+};
+
+module.exports = { name: "smtp", send };
@@ -0,0 +1,205 @@
+const { EventEmitter } = require("events");
+const mongoose = require("mongoose");
+const Notification = require("../models/notification.model");
+const Subscription = require("../models/subscription.model");
+const Video = require("../models/video.model");
+const Comment = require("../models/comment.model");
+const { enqueueJob, registerJobHandler } = require("./jobQueue");
+
+// Notifications are created in two steps:
+// 1. The controllers call one of the notify* functions below. They only add a job to the queue (utils/jobQueue.js),
+//    so the request isn't slowed down, even when a channel with thousands of subscribers publishes a video.
+// 2. The job finds the recipients, saves the notifications and pushes them to the recipients connected to the
+//    live stream (GET /api/v1/notifications/stream).
+//
+// The live stream only reaches the clients connected to this process. With several instances of the server,
+// the events would have to go through a shared channel (e.g. Redis pub/sub) instead of this EventEmitter.
+
+const FAN_OUT_BATCH_SIZE = 500;
+
+const liveEvents = new EventEmitter();
+// One listener per open stream, so the default limit of 10 would print a warning with more than 10 connected clients.
+liveEvents.setMaxListeners(0);
+
+// Called by the stream endpoint. Returns the function that stops listening (when the client disconnects).
+const subscribeToNotifications = (userId, listener) => {
+  const eventName = userId.toString();
+  liveEvents.on(eventName, listener);
+  return () => liveEvents.off(eventName, listener);
+};
+
+// Number of streams the user has open right now (one listener per stream).
+const countOpenStreams = (userId) =>
+  liveEvents.listenerCount(userId.toString());
+
+// Pipeline stages that join the public details of the actor and the video, used by the list endpoint and the stream.
+const notificationDetailsStages = () => [
+  {
+    $lookup: {
+      from: "users",
+      localField: "actor",
+      foreignField: "_id",
+      as: "actor",
+      pipeline: [{ $project: { fullName: 1, userName: 1, avatar: 1 } }],
+    },
+  },
+  {
+    $lookup: {
+      from: "videos",
+      localField: "video",
+      foreignField: "_id",
+      as: "video",
+      pipeline: [{ $project: { title: 1, thumbnail: 1, duration: 1 } }],
+    },
+  },
+  {
+    $addFields: {
+      actor: { $first: "$actor" },
+      video: { $first: "$video" },
+    },
+  },
+];
+
+// Saves the notifications and sends them to the recipients that are connected to the stream.
+const createNotifications = async (notifications) => {
+  if (!notifications.length) return;
+
+  const created = await Notification.insertMany(notifications);
+
+  // Only the notifications of connected users are loaded again with their details.
+  const liveIds = created
+    .filter((notification) =>
+      liveEvents.listenerCount(notification.recipient.toString())
+    )
+    .map((notification) => notification._id);
+  if (!liveIds.length) return;
+
+  const detailed = await Notification.aggregate([
+    { $match: { _id: { $in: liveIds } } },
+    ...notificationDetailsStages(),
+  ]);
+  detailed.forEach((notification) => {
+    liveEvents.emit(notification.recipient.toString(), notification);
+  });
+};
+
+// Likes and subscriptions can be toggled many times, the recipient is only notified the first time.
+const createUniqueNotification = async (notification) => {
+  if (notification.recipient.equals(notification.actor)) return;
+
+  const alreadyNotified = await Notification.exists({
+    recipient: notification.recipient,
+    type: notification.type,
+    actor: notification.actor,
+    video: notification.video,
+  });
+  if (!alreadyNotified) {
+    await createNotifications([notification]);
+  }
+};
+
+// Notifies every subscriber of the channel, FAN_OUT_BATCH_SIZE at a time so memory stays flat for big channels.
+// The video is marked as notified in the same atomic update that checks it, so subscribers are only notified once
+// even if the video is unpublished and published again.
+registerJobHandler("notification:new-video", async ({ videoId }) => {
+  const video = await Video.findOneAndUpdate(
+    { _id: videoId, isPublished: true, subscribersNotifiedAt: null },
+    { $set: { subscribersNotifiedAt: new Date() } }
+  );
+  if (!video) return;
+
+  const subscribers = Subscription.find({ channel: video.owner })
+    .select("subscriber")
+    .lean()
+    .cursor();
+
+  let batch = [];
+  for await (const { subscriber } of subscribers) {
+    batch.push({
+      recipient: subscriber,
+      type: "new-video",
+      actor: video.owner,
+      video: video._id,
+    });
+    if (batch.length === FAN_OUT_BATCH_SIZE) {
+      await createNotifications(batch);
+      batch = [];
+    }
+  }
+  await createNotifications(batch);
+});
+
+// Replies are flattened to one level (see addComment), so the comment that was replied to isn't always the parent:
+// its id is passed in the job.
+registerJobHandler(
+  "notification:comment-reply",
+  async ({ replyId, repliedToId }) => {
+    const reply = await Comment.findById(replyId);
+    if (!reply) return;
+
+    const repliedTo = await Comment.findById(repliedToId).select("owner");
+    if (!repliedTo || repliedTo.owner.equals(reply.owner)) return;
+
+    await createNotifications([
+      {
+        recipient: repliedTo.owner,
+        type: "comment-reply",
+        actor: reply.owner,
+        video: reply.video,
+        comment: reply._id,
+      },
+    ]);
+  }
+);
+
+registerJobHandler("notification:video-like", async ({ videoId, userId }) => {
+  const video = await Video.findById(videoId).select("owner");
+  if (!video?.owner) return;
+
+  await createUniqueNotification({
+    recipient: video.owner,
+    type: "video-like",
+    actor: userId,
+    video: video._id,
+  });
+});
+
+registerJobHandler(
+  "notification:new-subscriber",
+  async ({ channelId, userId }) => {
+    await createUniqueNotification({
+      recipient: new mongoose.Types.ObjectId(channelId),
+      type: "new-subscriber",
+      actor: userId,
+    });
+  }
+);
+
+const notifyNewVideo = (video) => {
+  enqueueJob("notification:new-video", { videoId: video._id });
+};
+
+const notifyCommentReply = (reply, repliedTo) => {
+  enqueueJob("notification:comment-reply", {
+    replyId: reply._id,
+    repliedToId: repliedTo._id,
+  });
+};
+
+const notifyVideoLike = (videoId, userId) => {
+  enqueueJob("notification:video-like", { videoId, userId });
+};
+
+const notifyNewSubscriber = (channelId, userId) => {
+  enqueueJob("notification:new-subscriber", { channelId, userId });
+};
+
+module.exports = {
+  subscribeToNotifications,
+  countOpenStreams,
+  notificationDetailsStages,
+  notifyNewVideo,
+  notifyCommentReply,
+  notifyVideoLike,
+  notifyNewSubscriber,
+};
@@ -0,0 +1,14 @@
+// Reads "page" and "limit" from the query string and keeps them in a sane range before they are handed to aggregatePaginate().
+// This way a client can't ask for page -1 or for a million documents in one request.
+const getPaginationOptions = (
+  query = {},
+  { defaultLimit = 10, maxLimit = 50 } = {}
+) => ({
+  page: Math.max(parseInt(query.page, 10) || 1, 1),
+  limit: Math.min(
+    Math.max(parseInt(query.limit, 10) || defaultLimit, 1),
+    maxLimit
+  ),
+});
+
+module.exports = getPaginationOptions;
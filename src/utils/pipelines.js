@@ -0,0 +1,35 @@
+// Reusable aggregation pipeline stages shared by several controllers.
+
+// Joins the likes of each document and adds:
+// likesCount: how many users liked it.
+// isLiked: whether the logged-in user (viewerId) is one of them. Works the same way as isSubscribedToChannel in getUserChannelProfile.
+// "targetField" is the field of the Like model that points to the document: "video", "comment" or "tweet".
+const likeStatsStages = (targetField, viewerId) => [
+  {
+    $lookup: {
+      from: "likes",
+      localField: "_id",
+      foreignField: targetField,
+      as: "likes",
+    },
+  },
+  {
+    $addFields: {
+      likesCount: { $size: "$likes" },
+      isLiked: {
+        $cond: {
+          if: { $in: [viewerId, "$likes.likedBy"] },
+          then: true,
+          else: false,
+        },
+      },
+    },
+  },
+  {
+    $project: {
+      likes: 0,
+    },
+  },
+];
+
+module.exports = { likeStatsStages };
@@ -0,0 +1,27 @@
+// Store interface used by the rate limiter (see middleware/rateLimit.middleware.js) to keep its counters.
+// The store is chosen with the RATE_LIMIT_STORE env variable. Only "memory" exists for now: its counters live in the
+// process, so they are lost on restart and not shared between several instances of the server. A shared store
+// (e.g. Redis) can be added as a new file here without touching the middleware.
+//
+// Every store exports:
+// increment(key, ttlMs) -> the new value of the counter. A new counter starts at 1 and is deleted ttlMs later.
+// get(key)              -> the value of the counter, 0 if it doesn't exist (or has expired)
+// reset(key)            -> deletes the counter
+const STORES = {
+  memory: "./memory.store",
+};
+
+let store;
+
+const getRateLimitStore = () => {
+  if (!store) {
+    const storeName = process.env.RATE_LIMIT_STORE || "memory";
+    if (!STORES[storeName]) {
+      throw new Error(`Unknown RATE_LIMIT_STORE: ${storeName}`);
+    }
+    store = require(STORES[storeName]);
+  }
+  return store;
+};
+
+module.exports = { getRateLimitStore };
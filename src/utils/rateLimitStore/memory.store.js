@@ -0,0 +1,34 @@
+// In-memory rate limit store: a Map of key -> { value, expiresAt }.
+const counters = new Map();
+
+const isExpired = (counter, now = Date.now()) => counter.expiresAt <= now;
+
+// Expired counters are removed once a minute so the Map doesn't grow forever.
+// unref() lets the process exit even though the timer is still scheduled.
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, counter] of counters) {
+    if (isExpired(counter, now)) counters.delete(key);
+  }
+}, 60 * 1000).unref();
+
+const increment = async (key, ttlMs) => {
+  const counter = counters.get(key);
+  if (!counter || isExpired(counter)) {
+    counters.set(key, { value: 1, expiresAt: Date.now() + ttlMs });
+    return 1;
+  }
+  counter.value += 1;
+  return counter.value;
+};
+
+const get = async (key) => {
+  const counter = counters.get(key);
+  return counter && !isExpired(counter) ? counter.value : 0;
+};
+
+const reset = async (key) => {
+  counters.delete(key);
+};
+
+module.exports = { increment, get, reset };
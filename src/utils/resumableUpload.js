@@ -0,0 +1,151 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const ApiError = require("./ApiError");
+
+// Disk side of the resumable uploads. Every upload has its own folder in tmp/uploads/<uploadId> holding the
+// thumbnail and one file per received chunk, named after the offset where it starts ("chunk-000000000000000").
+// Once all the bytes are in, the chunks are concatenated into a single file in tmp.
+// Both are outside of public/, which is served by express.static: a file that hasn't been checked yet (or belongs to a
+// private upload) must never be downloadable.
+
+const UPLOADS_DIR = path.resolve("tmp/uploads");
+const ASSEMBLY_DIR = path.resolve("tmp");
+const OFFSET_DIGITS = 15;
+
+// Checksum algorithms accepted in the Upload-Checksum header.
+const CHECKSUM_ALGORITHMS = ["sha256", "sha1", "md5"];
+
+const getUploadDir = (uploadId) => path.join(UPLOADS_DIR, uploadId.toString());
+
+const getChunkPath = (uploadId, offset) =>
+  path.join(
+    getUploadDir(uploadId),
+    `chunk-${String(offset).padStart(OFFSET_DIGITS, "0")}`
+  );
+
+const createUploadDir = async (uploadId) => {
+  await fs.promises.mkdir(getUploadDir(uploadId), { recursive: true });
+};
+
+const removeUploadDir = async (uploadId) => {
+  await fs.promises.rm(getUploadDir(uploadId), {
+    recursive: true,
+    force: true,
+  });
+};
+
+// Parses the Upload-Checksum header ("<algorithm> <base64 digest>", as in the tus protocol).
+// Returns null if the header is missing.
+const parseChecksumHeader = (header) => {
+  if (!header) return null;
+  const [algorithm, digest] = header.trim().split(/\s+/);
+  if (!CHECKSUM_ALGORITHMS.includes(algorithm) || !digest) {
+    throw new ApiError(
+      400,
+      `Upload-Checksum must be "<algorithm> <base64 digest>" with one of: ${CHECKSUM_ALGORITHMS.join(", ")}`
+    );
+  }
+  return { algorithm, digest };
+};
+
+// Writes the request body to a temporary file of the upload's folder, computing its checksum on the way.
+// The body is cut off (413) as soon as it's bigger than maxBytes.
+// Returns { partPath, bytes, digest }: the caller renames partPath with saveChunk() once the offset is confirmed.
+const receiveChunk = async (req, uploadId, { maxBytes, algorithm }) => {
+  const partPath = path.join(
+    getUploadDir(uploadId),
+    `${crypto.randomUUID()}.part`
+  );
+  const hash = crypto.createHash(algorithm || "sha256");
+  let bytes = 0;
+
+  const counter = new Transform({
+    transform(data, encoding, callback) {
+      bytes += data.length;
+      if (bytes > maxBytes) {
+        return callback(
+          new ApiError(413, `The chunk can't be bigger than ${maxBytes} bytes`)
+        );
+      }
+      hash.update(data);
+      callback(null, data);
+    },
+  });
+
+  try {
+    await pipeline(req, counter, fs.createWriteStream(partPath));
+  } catch (err) {
+    await fs.promises.rm(partPath, { force: true });
+    // The connection was cut: nothing is kept, the client resumes from the offset it gets with HEAD.
+    throw err instanceof ApiError
+      ? err
+      : new ApiError(400, "The chunk was not fully received");
+  }
+
+  return { partPath, bytes, digest: hash.digest("base64") };
+};
+
+const saveChunk = async (uploadId, partPath, offset) => {
+  await fs.promises.rename(partPath, getChunkPath(uploadId, offset));
+};
+
+const discardChunk = async (partPath) => {
+  await fs.promises.rm(partPath, { force: true });
+};
+
+// Concatenates the chunks, in order, into tmp/<uploadId>.upload and returns its path and SHA-256 (hex).
+// Throws if the chunks don't cover the whole file without gaps.
+const assembleChunks = async (uploadId, size) => {
+  const uploadDir = getUploadDir(uploadId);
+  const chunkNames = (await fs.promises.readdir(uploadDir))
+    .filter((name) => name.startsWith("chunk-"))
+    .sort();
+
+  await fs.promises.mkdir(ASSEMBLY_DIR, { recursive: true });
+  const outputPath = path.join(ASSEMBLY_DIR, `${uploadId}.upload`);
+  const output = fs.createWriteStream(outputPath);
+  const hash = crypto.createHash("sha256");
+  let expectedOffset = 0;
+
+  try {
+    for (const chunkName of chunkNames) {
+      if (Number(chunkName.slice("chunk-".length)) !== expectedOffset) {
+        throw new Error("The chunks of the upload are not contiguous");
+      }
+      const chunkPath = path.join(uploadDir, chunkName);
+      const input = fs.createReadStream(chunkPath);
+      input.on("data", (data) => hash.update(data));
+      // end: false keeps the output open for the next chunk.
+      await pipeline(input, output, { end: false });
+      expectedOffset += (await fs.promises.stat(chunkPath)).size;
+    }
+    if (expectedOffset !== size) {
+      throw new Error("The chunks of the upload don't add up to its size");
+    }
+    await new Promise((resolve, reject) => {
+      output.on("error", reject);
+      output.end(resolve);
+    });
+  } catch (err) {
+    output.destroy();
+    await fs.promises.rm(outputPath, { force: true });
+    throw err;
+  }
+
+  return { filePath: outputPath, checksum: hash.digest("hex") };
+};
+
+module.exports = {
+  UPLOADS_DIR,
+  getUploadDir,
+  createUploadDir,
+  removeUploadDir,
+  parseChecksumHeader,
+  receiveChunk,
+  saveChunk,
+  discardChunk,
+  assembleChunks,
+};
@@ -0,0 +1,114 @@
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const ApiError = require("./ApiError");
+const Session = require("../models/session.model");
+const User = require("../models/user.model");
+const { hashToken } = require("./tokens");
+
+// Helpers to create, rotate and revoke sessions (see session.model.js).
+
+// Device information saved with the session, so the user can recognise it in the sessions list.
+const getClientInfo = (req) => ({
+  userAgent: (req.get("user-agent") || "").slice(0, 512),
+  ip: req.ip || "",
+});
+
+// The session expires when its refresh token does, so the expiry is read from the token itself (REFRESH_TOKEN_EXPIRY).
+const getTokenExpiry = (token) => new Date(jwt.decode(token).exp * 1000);
+
+// Creates a new session for the user (called at login) and returns its tokens.
+const createSession = async (user, req) => {
+  const sessionId = new mongoose.Types.ObjectId();
+
+  const accessToken = user.generateAccessToken(sessionId);
+  const refreshToken = user.generateRefreshToken(sessionId);
+
+  await Session.create({
+    _id: sessionId,
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: getTokenExpiry(refreshToken),
+    ...getClientInfo(req),
+  });
+
+  return { accessToken, refreshToken, sessionId };
+};
+
+const revokeSessions = async (filter, reason) => {
+  await Session.updateMany(
+    { ...filter, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Algorithm / Steps to rotate a refresh token
+// 1. Verify the token signature and read the session id (sid) from it.
+// 2. The session must exist, belong to the user and still be active.
+// 3. Replace the stored hash with the hash of a new refresh token, but only if the stored hash is the one of the
+//    incoming token. This is done in one atomic update so two parallel refreshes can't both succeed.
+// 4. If the hashes don't match, the incoming token was already rotated: it's being reused, so the session is revoked.
+const rotateSession = async (incomingRefreshToken, req) => {
+  let decodedToken;
+  try {
+    decodedToken = jwt.verify(
+      incomingRefreshToken,
+      process.env.REFRESH_TOKEN_SECRET
+    );
+  } catch (err) {
+    throw new ApiError(401, "Invalid Refresh Token");
+  }
+
+  if (!decodedToken?.sid || !mongoose.isValidObjectId(decodedToken.sid)) {
+    throw new ApiError(401, "Invalid Refresh Token");
+  }
+
+  const session = await Session.findById(decodedToken.sid);
+  if (!session || !session.user.equals(decodedToken._id)) {
+    throw new ApiError(401, "Invalid Refresh Token");
+  }
+  if (!session.isActive()) {
+    throw new ApiError(401, "Session has expired or was revoked");
+  }
+
+  const user = await User.findById(session.user);
+  if (!user) {
+    throw new ApiError(401, "Invalid Refresh Token");
+  }
+  const restriction = user.getAccessRestriction();
+  if (restriction) {
+    throw new ApiError(403, restriction);
+  }
+
+  const accessToken = user.generateAccessToken(session._id);
+  const refreshToken = user.generateRefreshToken(session._id);
+
+  const rotatedSession = await Session.findOneAndUpdate(
+    {
+      _id: session._id,
+      tokenHash: hashToken(incomingRefreshToken),
+      revokedAt: null,
+    },
+    {
+      $set: {
+        tokenHash: hashToken(refreshToken),
+        lastUsedAt: new Date(),
+        // Sliding expiry: a session that keeps being used stays alive.
+        expiresAt: getTokenExpiry(refreshToken),
+        ...getClientInfo(req),
+      },
+    }
+  );
+
+  if (!rotatedSession) {
+    // The signature is valid, so we issued this token for this session, but it's no longer the current one.
+    await revokeSessions({ _id: session._id }, "token-reuse");
+    throw new ApiError(
+      401,
+      "Refresh token reuse detected, please log in again"
+    );
+  }
+
+  return { accessToken, refreshToken, sessionId: session._id };
+};
+
+module.exports = { createSession, rotateSession, revokeSessions };
@@ -0,0 +1,56 @@
+const cloudinary = require("cloudinary").v2;
+
+// Cloudinary driver: files are uploaded to Cloudinary, which also gives us the duration of videos.
+// Configuration: CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET.
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+const upload = async (localFilePath, { resourceType }) => {
+  // "auto" lets Cloudinary detect if the file is an image, a video or something else (raw).
+  const uploadResult = await cloudinary.uploader.upload(localFilePath, {
+    resource_type: "auto",
+  });
+
+  return {
+    url: uploadResult.secure_url || uploadResult.url,
+    publicId: uploadResult.public_id,
+    resourceType: uploadResult.resource_type || resourceType,
+    bytes: uploadResult.bytes,
+    duration: uploadResult.duration ?? null,
+  };
+};
+
+const remove = async (publicId, { resourceType }) => {
+  await cloudinary.uploader.destroy(publicId, {
+    resource_type: resourceType,
+    invalidate: true,
+  });
+};
+
+// Lists every file of a resource type, page by page (Cloudinary returns at most 500 per call).
+async function* list({ resourceType }) {
+  let nextCursor;
+  do {
+    const page = await cloudinary.api.resources({
+      resource_type: resourceType,
+      type: "upload",
+      max_results: 500,
+      next_cursor: nextCursor,
+    });
+    for (const resource of page.resources) {
+      yield {
+        publicId: resource.public_id,
+        createdAt: new Date(resource.created_at),
+      };
+    }
+    nextCursor = page.next_cursor;
+  } while (nextCursor);
+}
+
+const getUrl = (publicId, { resourceType }) =>
+  cloudinary.url(publicId, { resource_type: resourceType, secure: true });
+
+module.exports = { name: "cloudinary", upload, remove, list, getUrl };
@@ -0,0 +1,27 @@
+const path = require("path");
+
+// Maps the extension of a file to its content type. Only the formats we accept as uploads are listed.
+const CONTENT_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".mp4": "video/mp4",
+  ".m4v": "video/mp4",
+  ".mov": "video/quicktime",
+  ".webm": "video/webm",
+  ".mkv": "video/x-matroska",
+};
+
+const getContentType = (filePath) =>
+  CONTENT_TYPES[path.extname(filePath).toLowerCase()] ||
+  "application/octet-stream";
+
+// "image", "video" or "raw", the same resource types Cloudinary uses.
+const getResourceType = (filePath) => {
+  const [type] = getContentType(filePath).split("/");
+  return type === "image" || type === "video" ? type : "raw";
+};
+
+module.exports = { getContentType, getResourceType };
@@ -0,0 +1,81 @@
+const fs = require("fs");
+const { getResourceType } = require("./fileType");
+
+// Storage interface used by the controllers. They never talk to Cloudinary, S3 or the disk directly, so the backend
+// can be changed with the STORAGE_DRIVER env variable ("cloudinary" by default, "local" or "s3") without touching them.
+//
+// Every driver exports:
+// upload(localFilePath, { resourceType }) -> { url, publicId, resourceType, bytes, duration }
+// remove(publicId, { resourceType })
+// list({ resourceType }) -> async iterator of { publicId, createdAt }
+// getUrl(publicId, { resourceType }) -> url
+const DRIVERS = {
+  cloudinary: "./cloudinary.driver",
+  local: "./local.driver",
+  s3: "./s3.driver",
+};
+
+let driver;
+
+// Drivers are loaded lazily so that, for example, the S3 client is not created when we use Cloudinary.
+const getDriver = () => {
+  if (!driver) {
+    const driverName = process.env.STORAGE_DRIVER || "cloudinary";
+    if (!DRIVERS[driverName]) {
+      throw new Error(`Unknown STORAGE_DRIVER: ${driverName}`);
+    }
+    driver = require(DRIVERS[driverName]);
+  }
+  return driver;
+};
+
+// Removes the temporary file saved by multer. It's called whether the upload worked or not.
+const removeLocalFile = async (localFilePath) => {
+  try {
+    await fs.promises.unlink(localFilePath);
+  } catch (unlinkErr) {
+    if (unlinkErr.code !== "ENOENT") {
+      console.error("Error deleting local file:", unlinkErr);
+    }
+  }
+};
+
+// Uploads a file saved in public/temp to the configured storage.
+// Returns { url, publicId, resourceType, bytes, duration }, or null if there is no file or the upload failed.
+const uploadFile = async (localFilePath) => {
+  if (!localFilePath) return null;
+
+  try {
+    return await getDriver().upload(localFilePath, {
+      resourceType: getResourceType(localFilePath),
+    });
+  } catch (error) {
+    console.error(`Upload to ${getDriver().name} storage failed:`, error);
+    return null;
+  } finally {
+    await removeLocalFile(localFilePath);
+  }
+};
+
+// Deletes a file from the configured storage. Returns true if it worked, false otherwise (the error is only logged,
+// because failing to delete an old file should never fail the request that replaced it).
+const deleteFile = async (publicId, resourceType = "image") => {
+  if (!publicId) return false;
+
+  try {
+    await getDriver().remove(publicId, { resourceType });
+    return true;
+  } catch (error) {
+    console.error(`Delete from ${getDriver().name} storage failed:`, error);
+    return false;
+  }
+};
+
+// Lists every file of a resource type ("image", "video" or "raw") stored by the configured driver.
+const listFiles = (resourceType = "image") =>
+  getDriver().list({ resourceType });
+
+const getFileUrl = (publicId, resourceType = "image") =>
+  getDriver().getUrl(publicId, { resourceType });
+
+module.exports = { uploadFile, deleteFile, listFiles, getFileUrl };
@@ -0,0 +1,81 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Local filesystem driver: files are moved into public/<LOCAL_STORAGE_DIR> and served by express.static("public") in app.js.
+// Useful to run the app offline or in CI without any cloud account.
+// Configuration: LOCAL_STORAGE_DIR (default "uploads"), PUBLIC_BASE_URL (e.g. http://localhost:5000, default is a relative url).
+const PUBLIC_DIR = path.resolve("public");
+const STORAGE_DIR = process.env.LOCAL_STORAGE_DIR || "uploads";
+
+// Resolves a publicId to a path inside public/ and refuses anything that would escape it (e.g. "../../etc/passwd").
+const resolvePublicPath = (publicId) => {
+  const filePath = path.resolve(PUBLIC_DIR, publicId);
+  if (!filePath.startsWith(PUBLIC_DIR + path.sep)) {
+    throw new Error(`Invalid publicId: ${publicId}`);
+  }
+  return filePath;
+};
+
+const getUrl = (publicId) => {
+  const baseUrl = (process.env.PUBLIC_BASE_URL || "").replace(/\/+$/, "");
+  return `${baseUrl}/${publicId}`;
+};
+
+const upload = async (localFilePath, { resourceType }) => {
+  const extension = path.extname(localFilePath).toLowerCase();
+  // posix join: the publicId is also used in the url, so it must use forward slashes on every OS.
+  const publicId = path.posix.join(
+    STORAGE_DIR,
+    resourceType,
+    `${crypto.randomUUID()}${extension}`
+  );
+  const destination = resolvePublicPath(publicId);
+
+  await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+  // copy + unlink instead of rename, because rename fails when public/temp and the destination are on different disks.
+  await fs.promises.copyFile(localFilePath, destination);
+  const { size } = await fs.promises.stat(destination);
+
+  return {
+    url: getUrl(publicId),
+    publicId,
+    resourceType,
+    bytes: size,
+    // Reading the duration of a video would need ffprobe, which we don't want as a dependency.
+    duration: null,
+  };
+};
+
+const remove = async (publicId) => {
+  try {
+    await fs.promises.unlink(resolvePublicPath(publicId));
+  } catch (err) {
+    // Already gone: nothing to delete.
+    if (err.code !== "ENOENT") throw err;
+  }
+};
+
+// Lists the files of a resource type stored in public/<LOCAL_STORAGE_DIR>/<resourceType>.
+async function* list({ resourceType }) {
+  const directory = resolvePublicPath(
+    path.posix.join(STORAGE_DIR, resourceType)
+  );
+  let entries;
+  try {
+    entries = await fs.promises.readdir(directory, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === "ENOENT") return;
+    throw err;
+  }
+  for (const entry of entries) {
+    if (!entry.isFile()) continue;
+    const { mtime } = await fs.promises.stat(path.join(directory, entry.name));
+    yield {
+      publicId: path.posix.join(STORAGE_DIR, resourceType, entry.name),
+      createdAt: mtime,
+    };
+  }
+}
+
+module.exports = { name: "local", upload, remove, list, getUrl };
@@ -0,0 +1,94 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} = require("@aws-sdk/client-s3");
+const { getContentType } = require("./fileType");
+
+// S3 driver: works with AWS S3 and with S3-compatible servers like MinIO.
+// Configuration:
+// S3_BUCKET, S3_REGION (default us-east-1), S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY,
+// S3_ENDPOINT (e.g. http://localhost:9000 for MinIO), S3_FORCE_PATH_STYLE ("true" for MinIO),
+// S3_PUBLIC_URL (base url the files are served from, defaults to <endpoint>/<bucket>).
+const bucket = process.env.S3_BUCKET;
+
+const client = new S3Client({
+  region: process.env.S3_REGION || "us-east-1",
+  endpoint: process.env.S3_ENDPOINT || undefined,
+  forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+  credentials:
+    process.env.S3_ACCESS_KEY_ID && process.env.S3_SECRET_ACCESS_KEY
+      ? {
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        }
+      : undefined,
+});
+
+const getUrl = (publicId) => {
+  const baseUrl =
+    process.env.S3_PUBLIC_URL ||
+    (process.env.S3_ENDPOINT
+      ? `${process.env.S3_ENDPOINT.replace(/\/+$/, "")}/${bucket}`
+      : `https://${bucket}.s3.${process.env.S3_REGION || "us-east-1"}.amazonaws.com`);
+  return `${baseUrl.replace(/\/+$/, "")}/${publicId}`;
+};
+
+const upload = async (localFilePath, { resourceType }) => {
+  if (!bucket) {
+    throw new Error("S3_BUCKET is not configured");
+  }
+
+  const extension = path.extname(localFilePath).toLowerCase();
+  const publicId = `${resourceType}/${crypto.randomUUID()}${extension}`;
+  const { size } = await fs.promises.stat(localFilePath);
+
+  // The file is streamed so large videos are not loaded in memory. ContentLength is required when the body is a stream.
+  await client.send(
+    new PutObjectCommand({
+      Bucket: bucket,
+      Key: publicId,
+      Body: fs.createReadStream(localFilePath),
+      ContentLength: size,
+      ContentType: getContentType(localFilePath),
+    })
+  );
+
+  return {
+    url: getUrl(publicId),
+    publicId,
+    resourceType,
+    bytes: size,
+    duration: null,
+  };
+};
+
+const remove = async (publicId) => {
+  await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: publicId }));
+};
+
+// Lists the objects of a resource type. Keys are "<resourceType>/<name>", so the resource type is used as prefix.
+async function* list({ resourceType }) {
+  let continuationToken;
+  do {
+    const page = await client.send(
+      new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: `${resourceType}/`,
+        ContinuationToken: continuationToken,
+      })
+    );
+    for (const object of page.Contents || []) {
+      yield { publicId: object.Key, createdAt: object.LastModified };
+    }
+    continuationToken = page.IsTruncated
+      ? page.NextContinuationToken
+      : undefined;
+  } while (continuationToken);
+}
+
+module.exports = { name: "s3", upload, remove, list, getUrl };
@@ -0,0 +1,11 @@
+const crypto = require("crypto");
+
+// Random, url-safe token sent to the user (in an email link, for example). 32 bytes can't be guessed.
+const generateToken = () => crypto.randomBytes(32).toString("hex");
+
+// Tokens are stored as SHA-256 hashes, so a database leak doesn't give away usable tokens.
+// A fast hash is enough here (unlike passwords) because the tokens are long and random.
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+module.exports = { generateToken, hashToken };
@@ -0,0 +1,49 @@
+const UserToken = require("../models/userToken.model");
+const { generateToken, hashToken } = require("./tokens");
+
+const MINUTE = 60 * 1000;
+
+// How long each kind of link stays valid.
+const TOKEN_LIFETIMES = {
+  "email-verification":
+    (Number(process.env.EMAIL_VERIFICATION_TOKEN_EXPIRY_MINUTES) || 24 * 60) *
+    MINUTE,
+  "password-reset":
+    (Number(process.env.PASSWORD_RESET_TOKEN_EXPIRY_MINUTES) || 30) * MINUTE,
+};
+
+// Creates a new token of the given type for the user and returns the raw token (to put in the email).
+// The previous unused tokens of the same type are deleted, so only the latest link works.
+const issueUserToken = async (user, type, { email } = {}) => {
+  await UserToken.deleteMany({ user: user._id, type, usedAt: null });
+
+  const token = generateToken();
+  await UserToken.create({
+    user: user._id,
+    type,
+    tokenHash: hashToken(token),
+    email,
+    expiresAt: new Date(Date.now() + TOKEN_LIFETIMES[type]),
+  });
+
+  return token;
+};
+
+// Marks the token as used and returns its document, or null if it doesn't exist, has expired or was already used.
+// The check and the update happen in one atomic operation, so the same link can't be used twice in parallel.
+const consumeUserToken = async (token, type) => {
+  if (!token) return null;
+
+  return UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = { issueUserToken, consumeUserToken };
@@ -0,0 +1,40 @@
+const Video = require("../models/video.model");
+const Comment = require("../models/comment.model");
+const Like = require("../models/like.model");
+const Playlist = require("../models/playlist.model");
+const Notification = require("../models/notification.model");
+const VideoViewBucket = require("../models/videoViewBucket.model");
+const { deleteFile } = require("./storage");
+
+// Deletes a video with everything that belongs to it. Used when the owner deletes the video and by the admin area.
+// Order matters, so that a failure half-way can be retried and never leaves records pointing to nothing:
+// 1. The related records go first. If one of these writes fails, the video still exists and the delete can be retried.
+// 2. Then the video document itself.
+// 3. The files last. deleteFile() only logs a storage error, and files without a video are picked up later by
+//    reconcileMedia (npm run media:reconcile), so a storage outage never stops the cleanup.
+const deleteVideoWithRelatedData = async (video) => {
+  // The video is taken out of every playlist it was added to.
+  await Playlist.updateMany(
+    { videos: video._id },
+    { $pull: { videos: video._id } }
+  );
+  // Comments and likes can't exist without their video.
+  const comments = await Comment.find({ video: video._id }).select("_id");
+  await Like.deleteMany({
+    $or: [
+      { video: video._id },
+      { comment: { $in: comments.map((comment) => comment._id) } },
+    ],
+  });
+  await Comment.deleteMany({ video: video._id });
+  // Notifications and view counts about the video would point to nothing.
+  await Notification.deleteMany({ video: video._id });
+  await VideoViewBucket.deleteMany({ video: video._id });
+
+  await Video.findByIdAndDelete(video._id);
+
+  await deleteFile(video.videoFilePublicId, "video");
+  await deleteFile(video.thumbnailPublicId, "image");
+};
+
+module.exports = { deleteVideoWithRelatedData };
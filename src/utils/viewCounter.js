@@ -0,0 +1,139 @@
+const crypto = require("crypto");
+const Video = require("../models/video.model");
+const VideoViewBucket = require("../models/videoViewBucket.model");
+const { getRateLimitStore } = require("./rateLimitStore");
+
+// Counts video views.
+//
+// Deduplication: a viewer is counted at most once per video every VIEW_DEDUP_WINDOW_HOURS (default 24). The viewer is
+// the logged-in user, or for anonymous requests a fingerprint made from the IP and the user-agent. The "already
+// counted" markers are kept in the same counter store as the rate limiter (utils/rateLimitStore), so they expire by
+// themselves and move to a shared store together with it.
+//
+// Buffering: counted views are only added up in memory. Every VIEW_FLUSH_INTERVAL_SECONDS (default 10), or as soon as
+// MAX_BUFFERED_VIDEOS videos are waiting, the buffer is written in two bulk writes: Video.views and the hourly
+// VideoViewBucket used by the trending score. Popular videos cost one write per flush instead of one per view.
+// Views still in the buffer are lost if the process crashes; flushViews() is called on shutdown for normal stops.
+// The two writes have their own buffer: when one fails, only its failed operations go back to its buffer for the next
+// flush. The operations that succeeded (in the other write, or in the same one) are not retried, so no view is lost
+// or counted twice.
+
+const HOUR = 60 * 60 * 1000;
+const MAX_BUFFERED_VIDEOS = 1000;
+
+// videoId -> number of counted views not written to Video.views yet.
+const pendingVideoViews = new Map();
+// "<hour timestamp>|<videoId>" -> number of counted views not written to the VideoViewBucket of that hour yet.
+const pendingBucketViews = new Map();
+let flushTimer = null;
+
+const addViews = (buffer, key, count) =>
+  buffer.set(key, (buffer.get(key) || 0) + count);
+
+const getViewerKey = (req) => {
+  if (req.user?._id) {
+    return `user:${req.user._id}`;
+  }
+  const fingerprint = crypto
+    .createHash("sha256")
+    .update(`${req.ip}|${req.get("user-agent") || ""}`)
+    .digest("hex");
+  return `anon:${fingerprint}`;
+};
+
+const startOfHour = (date) =>
+  new Date(Math.floor(date.getTime() / HOUR) * HOUR);
+
+// Writes one buffer with a single bulk write. The buffer is emptied first, so views recorded during the write go to
+// the next flush. If the write fails, the operations that failed are put back in the buffer (all of them when the
+// error doesn't say which ones, e.g. the connection was lost).
+const writeBuffer = async (buffer, Model, toOperation) => {
+  if (!buffer.size) return;
+
+  const entries = [...buffer.entries()];
+  buffer.clear();
+
+  try {
+    await Model.bulkWrite(entries.map(toOperation), { ordered: false });
+  } catch (err) {
+    const failedIndexes = err.writeErrors
+      ? [].concat(err.writeErrors).map((writeError) => writeError.index)
+      : entries.map((entry, index) => index);
+    failedIndexes.forEach((index) => {
+      const [key, count] = entries[index];
+      addViews(buffer, key, count);
+    });
+    throw err;
+  }
+};
+
+// Writes the buffered views to the database: Video.views and the hourly buckets.
+const flushViews = async () => {
+  const results = await Promise.allSettled([
+    writeBuffer(pendingVideoViews, Video, ([videoId, count]) => ({
+      updateOne: {
+        filter: { _id: videoId },
+        update: { $inc: { views: count } },
+      },
+    })),
+    writeBuffer(pendingBucketViews, VideoViewBucket, ([key, count]) => {
+      const [hour, videoId] = key.split("|");
+      return {
+        updateOne: {
+          filter: { video: videoId, hour: new Date(Number(hour)) },
+          update: { $inc: { count } },
+          upsert: true,
+        },
+      };
+    }),
+  ]);
+
+  const failed = results.find((result) => result.status === "rejected");
+  if (failed) {
+    throw failed.reason;
+  }
+};
+
+const flushViewsSafely = () =>
+  flushViews().catch((err) => console.error("Error flushing views:", err));
+
+// Returns true if the view was counted, false if this viewer was already counted for this video in the window.
+const recordView = async (videoId, req) => {
+  const windowMs = (Number(process.env.VIEW_DEDUP_WINDOW_HOURS) || 24) * HOUR;
+  const key = `view:${videoId}:${getViewerKey(req)}`;
+
+  const timesSeen = await getRateLimitStore().increment(key, windowMs);
+  if (timesSeen > 1) {
+    return false;
+  }
+
+  const id = videoId.toString();
+  addViews(pendingVideoViews, id, 1);
+  // The view goes to the bucket of the hour it happened in, even if it's written later.
+  addViews(pendingBucketViews, `${startOfHour(new Date()).getTime()}|${id}`, 1);
+  if (pendingVideoViews.size >= MAX_BUFFERED_VIDEOS) {
+    flushViewsSafely();
+  }
+  return true;
+};
+
+// Started by server.js once the database is connected.
+const startViewFlushing = () => {
+  if (flushTimer) return;
+  const interval =
+    (Number(process.env.VIEW_FLUSH_INTERVAL_SECONDS) || 10) * 1000;
+  flushTimer = setInterval(flushViewsSafely, interval);
+};
+
+const stopViewFlushing = async () => {
+  clearInterval(flushTimer);
+  flushTimer = null;
+  await flushViews();
+};
+
+module.exports = {
+  recordView,
+  flushViews,
+  startViewFlushing,
+  stopViewFlushing,
+};
@@ -0,0 +1,25 @@
+const { objectId } = require("./common.validator");
+const { ACCESS_TOKEN_SCOPES } = require("../utils/accessTokens");
+
+const createAccessTokenSchema = {
+  body: {
+    name: { type: "string", required: true, minLength: 1, maxLength: 100 },
+    scopes: {
+      type: "array",
+      required: true,
+      items: { type: "string", enum: ACCESS_TOKEN_SCOPES },
+      custom: (value) =>
+        value.length ? undefined : "scopes must contain at least one scope",
+    },
+    // Without it the token never expires.
+    expiresInDays: { type: "integer", min: 1, max: 365 },
+  },
+};
+
+const revokeAccessTokenSchema = {
+  params: {
+    tokenId: { ...objectId, required: true },
+  },
+};
+
+module.exports = { createAccessTokenSchema, revokeAccessTokenSchema };
@@ -0,0 +1,70 @@
+const { objectId, pagination } = require("./common.validator");
+
+// Every admin action must say why it was taken, the reason is saved in the audit log.
+const reason = { type: "string", required: true, minLength: 3, maxLength: 500 };
+
+const userIdParams = {
+  userId: { ...objectId, required: true },
+};
+
+const videoIdParams = {
+  videoId: { ...objectId, required: true },
+};
+
+const listUsersSchema = {
+  query: {
+    ...pagination,
+    query: { type: "string", maxLength: 100 },
+    role: { type: "string", enum: ["user", "moderator", "admin"] },
+    status: { type: "string", enum: ["active", "suspended", "banned"] },
+  },
+};
+
+const suspendUserSchema = {
+  params: userIdParams,
+  body: {
+    reason,
+    // Up to a year. Without it the suspension lasts until the user is unbanned.
+    durationHours: { type: "number", min: 1, max: 24 * 365 },
+  },
+};
+
+const moderateUserSchema = {
+  params: userIdParams,
+  body: { reason },
+};
+
+const updateUserRoleSchema = {
+  params: userIdParams,
+  body: {
+    role: {
+      type: "string",
+      required: true,
+      enum: ["user", "moderator", "admin"],
+    },
+    reason,
+  },
+};
+
+const moderateVideoSchema = {
+  params: videoIdParams,
+  body: { reason },
+};
+
+const auditLogsSchema = {
+  query: {
+    ...pagination,
+    actor: objectId,
+    targetId: objectId,
+    action: { type: "string", maxLength: 50 },
+  },
+};
+
+module.exports = {
+  listUsersSchema,
+  suspendUserSchema,
+  moderateUserSchema,
+  updateUserRoleSchema,
+  moderateVideoSchema,
+  auditLogsSchema,
+};
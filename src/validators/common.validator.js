@@ -0,0 +1,52 @@
+// Field rules shared by several route schemas. See validate.middleware.js for what each option means.
+
+const userName = {
+  type: "string",
+  lowercase: true,
+  minLength: 3,
+  maxLength: 30,
+  pattern: /^[a-z0-9_.]+$/,
+  message:
+    "userName can only contain lowercase letters, numbers, underscores and dots",
+};
+
+const email = {
+  type: "email",
+  maxLength: 254,
+};
+
+const fullName = {
+  type: "string",
+  minLength: 1,
+  maxLength: 100,
+};
+
+// At least 8 characters with a lowercase letter, an uppercase letter and a number.
+const password = {
+  type: "string",
+  trim: false,
+  minLength: 8,
+  maxLength: 128,
+  pattern: /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d).+$/,
+  message:
+    "password must contain at least one lowercase letter, one uppercase letter and one number",
+};
+
+const objectId = {
+  type: "objectId",
+};
+
+// page and limit are optional; getPaginationOptions() applies the defaults and the upper bound.
+const pagination = {
+  page: { type: "integer", min: 1 },
+  limit: { type: "integer", min: 1 },
+};
+
+module.exports = {
+  userName,
+  email,
+  fullName,
+  password,
+  objectId,
+  pagination,
+};
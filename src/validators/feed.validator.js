@@ -0,0 +1,9 @@
+const subscriptionFeedSchema = {
+  query: {
+    // The nextCursor of the previous response. Without it the feed starts from the newest video.
+    cursor: { type: "string", maxLength: 200 },
+    limit: { type: "integer", min: 1 },
+  },
+};
+
+module.exports = { subscriptionFeedSchema };
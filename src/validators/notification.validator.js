@@ -0,0 +1,16 @@
+const { objectId, pagination } = require("./common.validator");
+
+const getNotificationsSchema = {
+  query: {
+    ...pagination,
+    unread: { type: "boolean", default: false },
+  },
+};
+
+const markNotificationReadSchema = {
+  params: {
+    notificationId: { ...objectId, required: true },
+  },
+};
+
+module.exports = { getNotificationsSchema, markNotificationReadSchema };
@@ -0,0 +1,28 @@
+const { pagination } = require("./common.validator");
+
+const searchSchema = {
+  query: {
+    ...pagination,
+    q: { type: "string", required: true, minLength: 1, maxLength: 100 },
+    type: {
+      type: "string",
+      enum: ["all", "videos", "channels", "playlists"],
+      default: "all",
+    },
+    // Video filters.
+    uploadDate: {
+      type: "string",
+      enum: ["hour", "today", "week", "month", "year"],
+    },
+    duration: { type: "string", enum: ["short", "medium", "long"] },
+  },
+};
+
+const searchSuggestionsSchema = {
+  query: {
+    q: { type: "string", required: true, minLength: 1, maxLength: 100 },
+    limit: { type: "integer", min: 1, max: 20, default: 8 },
+  },
+};
+
+module.exports = { searchSchema, searchSuggestionsSchema };
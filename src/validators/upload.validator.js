@@ -0,0 +1,30 @@
+const { UPLOAD_POLICIES } = require("../middleware/uploadFile.middleware");
+
+const createUploadSchema = {
+  body: {
+    title: { type: "string", required: true, minLength: 1, maxLength: 100 },
+    description: {
+      type: "string",
+      required: true,
+      minLength: 1,
+      maxLength: 5000,
+    },
+    fileName: { type: "string", maxLength: 255, default: "" },
+    // Total size of the video file in bytes.
+    size: { type: "integer", required: true, min: 1 },
+    mimeType: {
+      type: "string",
+      required: true,
+      enum: UPLOAD_POLICIES.videoFile.allowedTypes,
+    },
+    // SHA-256 of the whole file, in hex. Checked once the file is assembled.
+    checksum: {
+      type: "string",
+      lowercase: true,
+      pattern: /^[a-f0-9]{64}$/,
+      message: "checksum must be a SHA-256 hash in hex",
+    },
+  },
+};
+
+module.exports = { createUploadSchema };
@@ -0,0 +1,133 @@
+const {
+  userName,
+  email,
+  fullName,
+  password,
+  objectId,
+  pagination,
+} = require("./common.validator");
+
+const registerUserSchema = {
+  body: {
+    userName: { ...userName, required: true },
+    email: { ...email, required: true },
+    password: { ...password, required: true },
+    fullName: { ...fullName, required: true },
+  },
+};
+
+// The password is not checked for strength here: accounts created before the rules existed must still be able to log in.
+const loginUserSchema = {
+  body: {
+    // Either the userName or the email. "userName" may also hold an email address.
+    userName: { type: "string", lowercase: true, maxLength: 254 },
+    email: { type: "string", lowercase: true, maxLength: 254 },
+    password: { type: "string", trim: false, required: true },
+  },
+};
+
+// The refresh token can also come from the cookies, so it's optional in the body.
+const refreshAccessTokenSchema = {
+  body: {
+    refreshToken: { type: "string" },
+  },
+};
+
+const changeCurrentPasswordSchema = {
+  body: {
+    oldPassword: { type: "string", trim: false, required: true },
+    newPassword: {
+      ...password,
+      required: true,
+      custom: (value, data) =>
+        value === data.oldPassword
+          ? "newPassword must be different from oldPassword"
+          : undefined,
+    },
+  },
+};
+
+const updateAccountDetailsSchema = {
+  body: {
+    fullName: { ...fullName, required: true },
+    email: { ...email, required: true },
+  },
+};
+
+// Only a lookup: the strict userName rule would 400 channels whose names were created before the rule existed,
+// so the value is just trimmed, lowercased and capped. It's matched by equality, so nothing else can get through.
+const channelProfileSchema = {
+  params: {
+    userName: {
+      type: "string",
+      lowercase: true,
+      maxLength: 100,
+      required: true,
+    },
+  },
+};
+
+const watchHistorySchema = {
+  query: pagination,
+};
+
+const addToWatchHistorySchema = {
+  params: {
+    videoId: { ...objectId, required: true },
+  },
+  body: {
+    position: { type: "number", min: 0, default: 0 },
+  },
+};
+
+const removeFromWatchHistorySchema = {
+  params: {
+    videoId: { ...objectId, required: true },
+  },
+};
+
+const toggleWatchHistoryPauseSchema = {
+  body: {
+    paused: { type: "boolean" },
+  },
+};
+
+const failedLoginAttemptsSchema = {
+  query: pagination,
+};
+
+const confirmEmailVerificationSchema = {
+  body: {
+    token: { type: "string", required: true, maxLength: 128 },
+  },
+};
+
+const requestPasswordResetSchema = {
+  body: {
+    email: { ...email, required: true },
+  },
+};
+
+const confirmPasswordResetSchema = {
+  body: {
+    token: { type: "string", required: true, maxLength: 128 },
+    newPassword: { ...password, required: true },
+  },
+};
+
+module.exports = {
+  registerUserSchema,
+  loginUserSchema,
+  refreshAccessTokenSchema,
+  changeCurrentPasswordSchema,
+  updateAccountDetailsSchema,
+  channelProfileSchema,
+  watchHistorySchema,
+  addToWatchHistorySchema,
+  removeFromWatchHistorySchema,
+  toggleWatchHistoryPauseSchema,
+  confirmEmailVerificationSchema,
+  requestPasswordResetSchema,
+  confirmPasswordResetSchema,
+  failedLoginAttemptsSchema,
+};
@@ -0,0 +1,38 @@
+const { objectId, pagination } = require("./common.validator");
+
+// Same limits as the resumable uploads (upload.validator.js), which create videos too.
+const title = { type: "string", minLength: 1, maxLength: 100 };
+const description = { type: "string", minLength: 1, maxLength: 5000 };
+
+// Query of the paginated listing (getAllVideos). sortBy must be one of the SORTABLE_FIELDS of video.controller.js.
+const getAllVideosSchema = {
+  query: {
+    ...pagination,
+    query: { type: "string", maxLength: 100 },
+    sortBy: {
+      type: "string",
+      enum: ["createdAt", "views", "duration"],
+      default: "createdAt",
+    },
+    sortType: { type: "string", enum: ["asc", "desc"], default: "desc" },
+    userId: objectId,
+  },
+};
+
+// Used after multer, like createUploadSchema: the text fields of a multipart form are only in req.body once it's parsed.
+const publishVideoSchema = {
+  body: {
+    title: { ...title, required: true },
+    description: { ...description, required: true },
+  },
+};
+
+// Every field is optional, updateVideo checks that at least one of them (or a thumbnail) was sent.
+const updateVideoSchema = {
+  body: {
+    title,
+    description,
+  },
+};
+
+module.exports = { getAllVideosSchema, publishVideoSchema, updateVideoSchema };